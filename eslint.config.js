@@ -0,0 +1,22 @@
+import js from '@eslint/js';
+import globals from 'globals';
+
+export default [
+  { ignores: ['.wrangler/', 'node_modules/'] },
+  js.configs.recommended,
+  {
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'module',
+      // Workers runtime: service worker globals plus the Workers-only WebSocketPair
+      globals: { ...globals.serviceworker, WebSocketPair: 'readonly' }
+    },
+    rules: {
+      'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none', ignoreRestSiblings: true }]
+    }
+  },
+  {
+    files: ['test/**/*.js'],
+    languageOptions: { globals: globals.node }
+  }
+];
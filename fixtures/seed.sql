@@ -0,0 +1,58 @@
+-- Local fixture data; timestamps are relative to now so the feed windows always have content.
+-- Load with: npm run db:local:seed (again at any time: it starts by emptying every table, dependents first)
+DELETE FROM notifications;
+DELETE FROM post_reports;
+DELETE FROM feed_exposures;
+DELETE FROM feed_served;
+DELETE FROM post_views;
+DELETE FROM follows;
+DELETE FROM posts;
+DELETE FROM users;
+DELETE FROM categories WHERE parent_slug IS NOT NULL;
+DELETE FROM categories;
+
+INSERT INTO users (username, description, city, region, country, latitude, longitude, created_at) VALUES
+  ('alice', 'Coffee and code', 'Springfield', 'Illinois', 'US', 39.7817, -89.6501, datetime('now', '-400 days')),
+  ('bob', 'Weekend cyclist', 'Springfield', 'Illinois', 'US', 39.8017, -89.6436, datetime('now', '-300 days')),
+  ('carol', 'News junkie', 'Chicago', 'Illinois', 'US', 41.8781, -87.6298, datetime('now', '-200 days')),
+  ('dave', NULL, 'Austin', 'Texas', 'US', 30.2672, -97.7431, datetime('now', '-100 days')),
+  ('erin', 'Football every Sunday', 'Leeds', 'England', 'GB', 53.8008, -1.5491, datetime('now', '-50 days'));
+
+INSERT INTO follows (follower, following, relationship_status) VALUES
+  ('alice', 'bob', 'accepted'),
+  ('alice', 'carol', 'none'),
+  ('alice', 'erin', 'none'),
+  ('dave', 'alice', 'none'),
+  ('carol', 'bob', 'accepted'),
+  ('bob', 'dave', 'pending');
+
+INSERT INTO posts (_id, username, message, timestamp, likes, hearts, comments_count, views_count, tags, categories, replyTo, parent_id) VALUES
+  ('p01', 'bob', 'Rode 80km around the lake today', datetime('now', '-2 hours'), 12, 3, 4, 120, '["cycling","outdoors"]', 'Sports', NULL, NULL),
+  ('p02', 'carol', 'City council approves the new transit plan', datetime('now', '-5 hours'), 30, 2, 11, 400, '["transit","local"]', 'News', NULL, NULL),
+  ('p03', 'erin', 'What a match last night!', datetime('now', '-1 day'), 8, 5, 6, 90, '["football"]', 'Sports', NULL, NULL),
+  ('p04', 'dave', 'Finally finished my first novel draft', datetime('now', '-30 minutes'), 2, 1, 0, 15, '["writing"]', 'Story/Rant', NULL, NULL),
+  ('p05', 'alice', 'Anyone know a good espresso place in Springfield?', datetime('now', '-3 hours'), 4, 0, 2, 40, '["coffee"]', 'Story/Rant', NULL, NULL),
+  ('p06', 'bob', 'Replying: try the corner roastery', datetime('now', '-150 minutes'), 1, 0, 1, 10, '[]', 'Story/Rant', '{"postId":"p05","username":"alice"}', 'p05'),
+  ('p07', 'carol', 'New festival lineup announced', datetime('now', '-2 days'), 45, 10, 20, 900, '["music","festival"]', 'Entertainment', NULL, NULL),
+  ('p08', 'erin', 'Transfer window rumours roundup', datetime('now', '-4 days'), 3, 0, 1, 60, '["football","transfers"]', 'Sports', NULL, NULL),
+  ('p09', 'dave', 'Austin heat wave survival tips', datetime('now', '-6 days'), 9, 2, 3, 150, '["weather"]', 'News', NULL, NULL),
+  ('p10', 'bob', 'Old post from last month', datetime('now', '-35 days'), 50, 8, 12, 1000, '["archive"]', 'Story/Rant', NULL, NULL),
+  ('p11', 'carol', 'The bakery on 5th does a great flat white', datetime('now', '-140 minutes'), 0, 0, 0, 5, '[]', 'Story/Rant', '{"postId":"p05","username":"alice"}', 'p05'),
+  ('p12', 'alice', 'Thanks, I will try it tomorrow', datetime('now', '-100 minutes'), 0, 0, 0, 3, '[]', 'Story/Rant', '{"postId":"p06","username":"bob"}', 'p06');
+
+INSERT INTO post_views (user_id, post_id, viewed_at, dwell_ms, recorded_at) VALUES
+  ('alice', 'p07', datetime('now', '-1 day'), 4200, datetime('now', '-1 day'));
+
+-- Images in the formats older clients stored: bare base64 (a PNG) and a data: URL labelled JPEG (a GIF)
+UPDATE users SET profile_picture = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=' WHERE username = 'bob';
+UPDATE posts SET photo = 'data:image/jpeg;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7' WHERE _id = 'p01';
+
+-- The categories from the migration, plus a subcategory so category filters that include children can be tried locally
+INSERT INTO categories (slug, name, post_value, parent_slug, position) VALUES
+  ('story_rant', 'Story/Rant', 'Story/Rant', NULL, 10),
+  ('sports', 'Sports', 'Sports', NULL, 20),
+  ('entertainment', 'Entertainment', 'Entertainment', NULL, 30),
+  ('news', 'News', 'News', NULL, 40);
+INSERT INTO categories (slug, name, post_value, parent_slug, position) VALUES
+  ('football', 'Football', 'football', 'sports', 10);
+UPDATE posts SET categories = 'football' WHERE _id = 'p08';
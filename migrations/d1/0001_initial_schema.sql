@@ -0,0 +1,61 @@
+-- SQLite/D1 mirror of the MySQL schema the worker reads and writes.
+-- Timestamps are stored as 'YYYY-MM-DD HH:MM:SS' UTC text so they compare like MySQL DATETIME.
+CREATE TABLE users (
+  username TEXT PRIMARY KEY,
+  profile_picture TEXT,
+  Music TEXT,
+  description TEXT,
+  city TEXT,
+  region TEXT,
+  country TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+CREATE INDEX idx_users_city ON users (city);
+
+CREATE TABLE posts (
+  _id TEXT PRIMARY KEY,
+  username TEXT NOT NULL,
+  message TEXT,
+  timestamp TEXT NOT NULL DEFAULT (datetime('now')),
+  likes INTEGER NOT NULL DEFAULT 0,
+  hearts INTEGER NOT NULL DEFAULT 0,
+  likedBy TEXT,
+  comments TEXT,
+  comments_count INTEGER NOT NULL DEFAULT 0,
+  views_count INTEGER NOT NULL DEFAULT 0,
+  photo TEXT,
+  tags TEXT,
+  categories TEXT,
+  replyTo TEXT
+);
+CREATE INDEX idx_posts_timestamp ON posts (timestamp, _id);
+CREATE INDEX idx_posts_username ON posts (username, timestamp);
+
+CREATE TABLE follows (
+  follower TEXT NOT NULL,
+  following TEXT NOT NULL,
+  relationship_status TEXT NOT NULL DEFAULT 'none',
+  PRIMARY KEY (follower, following)
+);
+CREATE INDEX idx_follows_following ON follows (following);
+
+CREATE TABLE post_views (
+  user_id TEXT NOT NULL,
+  post_id TEXT NOT NULL,
+  viewed_at TEXT NOT NULL,
+  dwell_ms INTEGER NOT NULL DEFAULT 0
+);
+CREATE INDEX idx_post_views_user_post ON post_views (user_id, post_id, viewed_at);
+
+CREATE TABLE feed_exposures (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL,
+  post_id TEXT NOT NULL,
+  experiment TEXT NOT NULL,
+  variant TEXT NOT NULL,
+  bucket TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  served_at TEXT NOT NULL
+);
+CREATE INDEX idx_feed_exposures_user_post ON feed_exposures (user_id, post_id);
+CREATE INDEX idx_feed_exposures_experiment ON feed_exposures (experiment, variant, served_at);
@@ -0,0 +1,5 @@
+ALTER TABLE users ADD COLUMN latitude REAL;
+ALTER TABLE users ADD COLUMN longitude REAL;
+CREATE INDEX idx_users_coordinates ON users (latitude, longitude);
+CREATE INDEX idx_users_region ON users (region);
+CREATE INDEX idx_users_country ON users (country);
@@ -0,0 +1,2 @@
+ALTER TABLE posts ADD COLUMN heartedBy TEXT;
+ALTER TABLE posts ADD COLUMN reaction_version INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,3 @@
+ALTER TABLE posts ADD COLUMN parent_id TEXT;
+UPDATE posts SET parent_id = json_extract(replyTo, '$.postId') WHERE replyTo IS NOT NULL AND json_valid(replyTo);
+CREATE INDEX idx_posts_parent ON posts (parent_id, timestamp, _id);
@@ -0,0 +1,18 @@
+ALTER TABLE posts ADD COLUMN status TEXT NOT NULL DEFAULT 'visible';
+CREATE INDEX idx_posts_status_timestamp ON posts (status, timestamp);
+ALTER TABLE users ADD COLUMN banned_at TEXT;
+
+CREATE TABLE post_reports (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  post_id TEXT NOT NULL,
+  reporter TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  details TEXT,
+  status TEXT NOT NULL DEFAULT 'open',
+  created_at TEXT NOT NULL,
+  resolved_by TEXT,
+  resolved_at TEXT,
+  resolution TEXT,
+  UNIQUE (post_id, reporter)
+);
+CREATE INDEX idx_post_reports_queue ON post_reports (status, created_at, post_id);
@@ -0,0 +1,15 @@
+CREATE TABLE notifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  recipient TEXT NOT NULL,
+  actor TEXT NOT NULL,
+  type TEXT NOT NULL,
+  post_id TEXT,
+  source_post_id TEXT,
+  group_key TEXT NOT NULL,
+  group_id TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  read_at TEXT
+);
+CREATE INDEX idx_notifications_recipient_group ON notifications (recipient, group_key, read_at);
+CREATE INDEX idx_notifications_recipient_created ON notifications (recipient, created_at);
+CREATE INDEX idx_notifications_group ON notifications (group_id, created_at);
@@ -0,0 +1,14 @@
+CREATE TABLE categories (
+  slug TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  post_value TEXT NOT NULL UNIQUE,
+  parent_slug TEXT,
+  position INTEGER NOT NULL DEFAULT 0,
+  active INTEGER NOT NULL DEFAULT 1
+);
+
+INSERT INTO categories (slug, name, post_value, parent_slug, position) VALUES
+  ('story_rant', 'Story/Rant', 'Story/Rant', NULL, 10),
+  ('sports', 'Sports', 'Sports', NULL, 20),
+  ('entertainment', 'Entertainment', 'Entertainment', NULL, 30),
+  ('news', 'News', 'News', NULL, 40);
@@ -0,0 +1,2 @@
+ALTER TABLE posts ADD COLUMN photo_version TEXT;
+ALTER TABLE users ADD COLUMN profile_picture_version TEXT;
@@ -0,0 +1,9 @@
+-- Posts served in each paged feed session (the signed feed cursor carries the session id), so later pages
+-- never repeat one. The cron drops sessions older than a day.
+CREATE TABLE feed_served (
+  session_id TEXT NOT NULL,
+  post_id TEXT NOT NULL,
+  served_at TEXT NOT NULL,
+  PRIMARY KEY (session_id, post_id)
+);
+CREATE INDEX idx_feed_served_served_at ON feed_served (served_at);
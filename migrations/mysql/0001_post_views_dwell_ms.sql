@@ -0,0 +1,3 @@
+-- Dwell time reported by POST /views
+ALTER TABLE post_views ADD COLUMN dwell_ms INT UNSIGNED NOT NULL DEFAULT 0;
+CREATE INDEX idx_post_views_user_post ON post_views (user_id, post_id, viewed_at);
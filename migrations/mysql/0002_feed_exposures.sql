@@ -0,0 +1,13 @@
+-- One row per post served under a feed experiment; joins to post_views on (user_id, post_id)
+CREATE TABLE feed_exposures (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  post_id VARCHAR(255) NOT NULL,
+  experiment VARCHAR(100) NOT NULL,
+  variant VARCHAR(100) NOT NULL,
+  bucket VARCHAR(50) NOT NULL,
+  position SMALLINT UNSIGNED NOT NULL,
+  served_at DATETIME NOT NULL,
+  INDEX idx_feed_exposures_user_post (user_id, post_id),
+  INDEX idx_feed_exposures_experiment (experiment, variant, served_at)
+);
@@ -0,0 +1,2 @@
+-- Enables FULLTEXT search (set SEARCH_FULLTEXT = "true" once this index exists)
+ALTER TABLE posts ADD FULLTEXT INDEX ft_posts_message_tags (message, tags);
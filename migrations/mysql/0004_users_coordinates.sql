@@ -0,0 +1,5 @@
+-- Coordinates for the regional bucket's lat/lon radius mode, plus indexes for the region/country fallbacks
+ALTER TABLE users ADD COLUMN latitude DECIMAL(9, 6) NULL, ADD COLUMN longitude DECIMAL(9, 6) NULL;
+CREATE INDEX idx_users_coordinates ON users (latitude, longitude);
+CREATE INDEX idx_users_region ON users (region);
+CREATE INDEX idx_users_country ON users (country);
@@ -0,0 +1,2 @@
+-- Per-user hearts alongside likedBy, and a version counter for compare-and-swap reaction updates
+ALTER TABLE posts ADD COLUMN heartedBy JSON NULL, ADD COLUMN reaction_version INT NOT NULL DEFAULT 0;
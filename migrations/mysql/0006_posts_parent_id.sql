@@ -0,0 +1,7 @@
+-- Replies point at their parent through parent_id (backfilled from the replyTo JSON) so threads can be walked with an index
+ALTER TABLE posts ADD COLUMN parent_id VARCHAR(64) NULL;
+UPDATE posts SET parent_id = JSON_UNQUOTE(JSON_EXTRACT(replyTo, '$.postId')) WHERE replyTo IS NOT NULL AND JSON_VALID(replyTo);
+CREATE INDEX idx_posts_parent ON posts (parent_id, timestamp, _id);
+UPDATE posts p
+JOIN (SELECT parent_id, COUNT(*) AS replies FROM posts WHERE parent_id IS NOT NULL GROUP BY parent_id) r ON r.parent_id = p._id
+SET p.comments_count = COALESCE(p.comments_count, 0) + r.replies;
@@ -0,0 +1,20 @@
+-- Moderation: post visibility (visible, hidden pending review, removed), banned authors and the report queue
+ALTER TABLE posts ADD COLUMN status VARCHAR(16) NOT NULL DEFAULT 'visible';
+CREATE INDEX idx_posts_status_timestamp ON posts (status, timestamp);
+ALTER TABLE users ADD COLUMN banned_at DATETIME NULL;
+
+-- One report per reporter and post; resolving a post's reports closes them all at once
+CREATE TABLE post_reports (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  post_id VARCHAR(64) NOT NULL,
+  reporter VARCHAR(255) NOT NULL,
+  reason VARCHAR(32) NOT NULL,
+  details VARCHAR(500) NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'open',
+  created_at DATETIME NOT NULL,
+  resolved_by VARCHAR(255) NULL,
+  resolved_at DATETIME NULL,
+  resolution VARCHAR(16) NULL,
+  UNIQUE KEY uniq_post_reports_reporter (post_id, reporter),
+  INDEX idx_post_reports_queue (status, created_at, post_id)
+);
@@ -0,0 +1,17 @@
+-- One row per event; rows sharing group_id are shown together ("alice and 4 others liked your post").
+-- New events join the recipient's unread group with the same group_key, so reading a group closes it.
+CREATE TABLE notifications (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  recipient VARCHAR(255) NOT NULL,
+  actor VARCHAR(255) NOT NULL,
+  type VARCHAR(32) NOT NULL,
+  post_id VARCHAR(64) NULL,
+  source_post_id VARCHAR(64) NULL,
+  group_key VARCHAR(128) NOT NULL,
+  group_id VARCHAR(32) NOT NULL,
+  created_at DATETIME NOT NULL,
+  read_at DATETIME NULL,
+  INDEX idx_notifications_recipient_group (recipient, group_key, read_at),
+  INDEX idx_notifications_recipient_created (recipient, created_at),
+  INDEX idx_notifications_group (group_id, created_at)
+);
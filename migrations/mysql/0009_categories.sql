@@ -0,0 +1,18 @@
+-- Post category taxonomy. posts.categories holds a category's post_value: the display name for the
+-- original four (what older posts already store), the slug for categories added later.
+-- Subcategories point at their parent; inactive categories drop out of GET /categories and new posts.
+CREATE TABLE categories (
+  slug VARCHAR(50) PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  post_value VARCHAR(100) NOT NULL,
+  parent_slug VARCHAR(50) NULL,
+  position INT NOT NULL DEFAULT 0,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  UNIQUE KEY uniq_categories_post_value (post_value)
+);
+
+INSERT INTO categories (slug, name, post_value, parent_slug, position) VALUES
+  ('story_rant', 'Story/Rant', 'Story/Rant', NULL, 10),
+  ('sports', 'Sports', 'Sports', NULL, 20),
+  ('entertainment', 'Entertainment', 'Entertainment', NULL, 30),
+  ('news', 'News', 'News', NULL, 40);
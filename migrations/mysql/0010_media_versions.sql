@@ -0,0 +1,11 @@
+-- Content hashes of images stored in the database, written with the image so reads no longer hash it.
+-- Matches contentVersion() in src/media.js: the first 16 hex characters of the SHA-256 of the stored value.
+-- External URLs and R2 upload references ("r2:…") have no version.
+ALTER TABLE posts ADD COLUMN photo_version CHAR(16) NULL;
+ALTER TABLE users ADD COLUMN profile_picture_version CHAR(16) NULL;
+
+UPDATE posts SET photo_version = LEFT(SHA2(photo, 256), 16)
+WHERE photo IS NOT NULL AND photo <> '' AND photo NOT LIKE 'http://%' AND photo NOT LIKE 'https://%' AND photo NOT LIKE 'r2:%';
+UPDATE users SET profile_picture_version = LEFT(SHA2(profile_picture, 256), 16)
+WHERE profile_picture IS NOT NULL AND profile_picture <> ''
+AND profile_picture NOT LIKE 'http://%' AND profile_picture NOT LIKE 'https://%' AND profile_picture NOT LIKE 'r2:%';
@@ -0,0 +1,9 @@
+-- Posts served in each paged feed session (the signed feed cursor carries the session id), so later pages
+-- never repeat one. The cron drops sessions older than a day.
+CREATE TABLE feed_served (
+  session_id CHAR(36) NOT NULL,
+  post_id VARCHAR(255) NOT NULL,
+  served_at DATETIME NOT NULL,
+  PRIMARY KEY (session_id, post_id),
+  INDEX idx_feed_served_served_at (served_at)
+);
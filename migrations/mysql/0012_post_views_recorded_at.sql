@@ -0,0 +1,5 @@
+-- When the server recorded each view. viewed_at is the client's own clock, kept for analytics; the 30-minute
+-- view dedupe and the feed's viewed-posts history go by recorded_at so old viewedAt values cannot skip them.
+ALTER TABLE post_views ADD COLUMN recorded_at DATETIME NULL;
+UPDATE post_views SET recorded_at = viewed_at;
+CREATE INDEX idx_post_views_user_recorded ON post_views (user_id, recorded_at);
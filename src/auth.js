@@ -0,0 +1,95 @@
+// Bearer-token authentication: HS256 JWTs verified with Web Crypto against the JWT_SECRET secret
+import { fromBase64Url } from './encoding.js';
+import { log } from './observability.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const CLOCK_SKEW_SECONDS = 60;
+const keyCache = new Map();
+
+function getVerifyKey(secret) {
+  if (!keyCache.has(secret)) {
+    keyCache.set(secret, crypto.subtle.importKey(
+      'raw',
+      encoder.encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['verify']
+    ));
+  }
+  return keyCache.get(secret);
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(decoder.decode(fromBase64Url(segment)));
+}
+
+// Returns the claims of a valid token, or null
+export async function verifyJwt(token, secret, { issuer = null, audience = null } = {}) {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  try {
+    const [headerSegment, payloadSegment, signatureSegment] = parts;
+    const header = decodeSegment(headerSegment);
+    if (header.alg !== 'HS256') return null;
+
+    const key = await getVerifyKey(secret);
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      fromBase64Url(signatureSegment),
+      encoder.encode(`${headerSegment}.${payloadSegment}`)
+    );
+    if (!valid) return null;
+
+    const claims = decodeSegment(payloadSegment);
+    const now = Math.floor(Date.now() / 1000);
+    // Tokens without an expiry would never expire, so exp is required
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) return null;
+    if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > now) return null;
+    if (issuer && claims.iss !== issuer) return null;
+    if (audience) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(audience)) return null;
+    }
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+// Browsers cannot set headers when opening a WebSocket, so upgrade requests may pass ?access_token= instead
+function bearerToken(request) {
+  const authorization = request.headers.get('Authorization');
+  if (authorization) return authorization.match(/^Bearer\s+(\S+)$/i)?.[1] || null;
+  if ((request.headers.get('Upgrade') || '').toLowerCase() !== 'websocket') return null;
+  return new URL(request.url).searchParams.get('access_token');
+}
+
+// { identity: null } when no token was sent, { error } when one was sent but is not valid
+export async function authenticate(request, env) {
+  const token = bearerToken(request);
+  if (!token) return { identity: null };
+
+  if (!env.JWT_SECRET) {
+    log('error', 'JWT_SECRET is not configured; rejecting bearer token');
+    return { error: 'Authentication is not configured' };
+  }
+
+  const claims = await verifyJwt(token, env.JWT_SECRET, {
+    issuer: env.JWT_ISSUER,
+    audience: env.JWT_AUDIENCE
+  });
+  if (!claims || typeof claims.sub !== 'string' || !claims.sub) {
+    return { error: 'Invalid or expired token' };
+  }
+
+  const roles = Array.isArray(claims.roles) ? claims.roles : [claims.role];
+  return {
+    identity: {
+      userId: claims.sub,
+      isAdmin: roles.includes('admin')
+    }
+  };
+}
@@ -0,0 +1,91 @@
+// Edge caching for public JSON responses (Cache API) with stale-while-revalidate and ETags
+import { log } from './observability.js';
+
+const CACHE_HOST = 'https://edge-cache.internal';
+const STORED_AT_HEADER = 'X-Cache-Stored-At';
+const encoder = new TextEncoder();
+
+export function getCacheSettings(env, kind) {
+  const ttl = kind === 'profile'
+    ? Number(env.PROFILE_CACHE_TTL_SECONDS) || 60
+    : Number(env.LISTING_CACHE_TTL_SECONDS) || 30;
+  return { ttl, staleWhileRevalidate: Number(env.CACHE_SWR_SECONDS) || 300 };
+}
+
+// Only `keys` take part in the key, sorted, with `defaults` filled in so equivalent URLs share an entry
+export function buildCacheKey(namespace, query, keys, defaults = {}) {
+  const url = new URL(`${CACHE_HOST}/${namespace}`);
+  [...keys].sort().forEach(key => {
+    const value = query[key] ?? defaults[key];
+    if (value !== undefined) url.searchParams.set(key, value);
+  });
+  return new Request(url.toString(), { method: 'GET' });
+}
+
+async function computeEtag(body) {
+  const digest = await crypto.subtle.digest('SHA-256', encoder.encode(body));
+  const hex = [...new Uint8Array(digest).slice(0, 16)].map(b => b.toString(16).padStart(2, '0')).join('');
+  return `"${hex}"`;
+}
+
+function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false;
+  return ifNoneMatch.split(',').some(tag => {
+    const candidate = tag.trim().replace(/^W\//, '');
+    return candidate === '*' || candidate === etag;
+  });
+}
+
+// The stored copy outlives the client TTL by the stale window so it can still be served while refreshing
+async function storeResponse(cache, key, response, ctx, settings) {
+  const body = await response.text();
+  const headers = new Headers(response.headers);
+  headers.set('ETag', await computeEtag(body));
+  headers.set(STORED_AT_HEADER, String(Date.now()));
+  headers.set('Cache-Control', `public, max-age=${settings.ttl + settings.staleWhileRevalidate}`);
+
+  const entry = new Response(body, { status: 200, headers });
+  ctx.waitUntil(cache.put(key, entry.clone()));
+  return entry;
+}
+
+// produce() must return a fresh Response; only 200s are cached
+export async function withEdgeCache(request, ctx, key, settings, produce) {
+  const cache = caches.default;
+  let entry = await cache.match(key);
+  let cacheStatus = 'MISS';
+
+  if (entry) {
+    const ageSeconds = (Date.now() - Number(entry.headers.get(STORED_AT_HEADER) || 0)) / 1000;
+    if (ageSeconds < settings.ttl) {
+      cacheStatus = 'HIT';
+    } else if (ageSeconds < settings.ttl + settings.staleWhileRevalidate) {
+      cacheStatus = 'STALE';
+      ctx.waitUntil(
+        produce()
+          .then(fresh => fresh.status === 200 ? storeResponse(cache, key, fresh, ctx, settings) : null)
+          .catch(error => log('error', 'Error revalidating cache entry', { key: key.url, error }))
+      );
+    } else {
+      entry = null;
+    }
+  }
+
+  if (!entry) {
+    const fresh = await produce();
+    if (fresh.status !== 200) return fresh;
+    entry = await storeResponse(cache, key, fresh, ctx, settings);
+  }
+
+  const headers = new Headers(entry.headers);
+  headers.delete(STORED_AT_HEADER);
+  headers.set('Cache-Control', `public, max-age=${settings.ttl}, stale-while-revalidate=${settings.staleWhileRevalidate}`);
+  headers.set('Vary', 'Authorization');
+  headers.set('X-Cache', cacheStatus);
+
+  if (etagMatches(request.headers.get('If-None-Match'), headers.get('ETag'))) {
+    headers.delete('Content-Type');
+    return new Response(null, { status: 304, headers });
+  }
+  return new Response(entry.body, { status: 200, headers });
+}
@@ -0,0 +1,125 @@
+// Post categories, loaded from the categories table. Each has a URL slug, a display name, the value
+// stored in posts.categories, an order and optionally a parent; filtering by a parent includes its subcategories.
+import { jsonResponse } from './http.js';
+import * as categoriesRepo from './repositories/categories.js';
+import * as postViewsRepo from './repositories/postViews.js';
+import { log } from './observability.js';
+
+// Used when the table is missing or empty, so listings keep working before the migration runs
+export const DEFAULT_CATEGORIES = [
+  { slug: 'story_rant', name: 'Story/Rant', postValue: 'Story/Rant', parent: null, position: 10 },
+  { slug: 'sports', name: 'Sports', postValue: 'Sports', parent: null, position: 20 },
+  { slug: 'entertainment', name: 'Entertainment', postValue: 'Entertainment', parent: null, position: 30 },
+  { slug: 'news', name: 'News', postValue: 'News', parent: null, position: 40 }
+];
+
+const TAXONOMY_TTL_MS = 60000; // Per isolate; edits to the table show up within a minute
+const MAX_CATEGORY_FILTERS = 10;
+const AFFINITY_DAYS = 30;
+const DWELL_MS_PER_VIEW = 10000; // Ten seconds of reading counts as much as one more view
+const INHERITED_AFFINITY = 0.5; // Share of a parent's affinity a subcategory gets when it has none of its own
+
+let cachedTaxonomy = null;
+
+function buildTaxonomy(categories) {
+  const bySlug = new Map(categories.map(category => [category.slug, category]));
+  // A subcategory whose parent is inactive or missing is listed at the top level
+  const childrenOf = slug => categories.filter(category => category.parent === slug);
+  const roots = categories.filter(category => !category.parent || !bySlug.has(category.parent));
+  return { categories, bySlug, roots, childrenOf };
+}
+
+export async function loadTaxonomy(db) {
+  if (cachedTaxonomy && Date.now() - cachedTaxonomy.loadedAt < TAXONOMY_TTL_MS) {
+    return cachedTaxonomy.taxonomy;
+  }
+
+  let categories = DEFAULT_CATEGORIES;
+  try {
+    const rows = await categoriesRepo.listActive(db);
+    if (rows.length > 0) {
+      categories = rows.map(row => ({
+        slug: row.slug,
+        name: row.name,
+        postValue: row.post_value,
+        parent: row.parent_slug || null,
+        position: Number(row.position) || 0
+      }));
+    }
+  } catch (error) {
+    log('error', 'Error loading categories, using the defaults', { error });
+  }
+
+  const taxonomy = buildTaxonomy(categories);
+  cachedTaxonomy = { taxonomy, loadedAt: Date.now() };
+  return taxonomy;
+}
+
+// Accepts a slug, display name or stored value and returns the stored value, or null
+export function resolveCategory(taxonomy, value) {
+  const category = taxonomy.bySlug.get(value)
+    || taxonomy.categories.find(candidate => candidate.postValue === value || candidate.name === value);
+  return category ? category.postValue : null;
+}
+
+// Stored values matching any of the slugs, subcategories included; unknown lists the slugs not found
+export function expandCategorySlugs(taxonomy, slugs) {
+  const values = new Set();
+  const unknown = [];
+  slugs.forEach(slug => {
+    const category = taxonomy.bySlug.get(slug);
+    if (!category) {
+      unknown.push(slug);
+      return;
+    }
+    values.add(category.postValue);
+    taxonomy.childrenOf(slug).forEach(child => values.add(child.postValue));
+  });
+  return { values: [...values], unknown };
+}
+
+// The `category` query parameter: one slug or several separated by commas
+export const CATEGORY_FILTER_RULE = {
+  type: 'string',
+  max: 500,
+  pattern: new RegExp(`^[a-z0-9_-]+(,[a-z0-9_-]+){0,${MAX_CATEGORY_FILTERS - 1}}$`),
+  patternMessage: `must be up to ${MAX_CATEGORY_FILTERS} category slugs separated by commas`
+};
+
+// GET /categories
+export async function handleListCategories(db, headers) {
+  const taxonomy = await loadTaxonomy(db);
+  const describe = category => ({ slug: category.slug, name: category.name });
+  return jsonResponse({
+    categories: taxonomy.roots.map(category => ({
+      ...describe(category),
+      subcategories: taxonomy.childrenOf(category.slug).map(describe)
+    }))
+  }, 200, headers);
+}
+
+// === AFFINITY ===
+// How much the user engages with each category, from 0 to 1 and keyed by stored value, based on
+// what they viewed (and for how long) in the last 30 days. Empty for users with no history.
+export async function loadCategoryAffinity(db, userId) {
+  const [taxonomy, rows] = await Promise.all([
+    loadTaxonomy(db),
+    postViewsRepo.sumCategoryEngagement(db, userId, AFFINITY_DAYS)
+  ]);
+
+  const interest = new Map(rows.map(row => [
+    row.category,
+    Number(row.views) + Number(row.dwell_ms) / DWELL_MS_PER_VIEW
+  ]));
+  const top = Math.max(0, ...interest.values());
+  if (top === 0) return {};
+
+  const affinity = Object.fromEntries([...interest].map(([category, value]) => [category, value / top]));
+  taxonomy.categories.forEach(category => {
+    const parent = category.parent && taxonomy.bySlug.get(category.parent);
+    if (parent && affinity[category.postValue] === undefined && affinity[parent.postValue]) {
+      affinity[category.postValue] = affinity[parent.postValue] * INHERITED_AFFINITY;
+    }
+  });
+  return affinity;
+}
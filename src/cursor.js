@@ -0,0 +1,45 @@
+// Opaque, HMAC-signed pagination cursors
+import { fromBase64Url, toBase64Url } from './encoding.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const keyCache = new Map();
+
+async function getSigningKey(secret) {
+  if (!secret) {
+    throw new Error('CURSOR_SECRET is not configured');
+  }
+  if (!keyCache.has(secret)) {
+    keyCache.set(secret, crypto.subtle.importKey(
+      'raw',
+      encoder.encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign', 'verify']
+    ));
+  }
+  return keyCache.get(secret);
+}
+
+export async function encodeCursor(payload, secret) {
+  const key = await getSigningKey(secret);
+  const body = toBase64Url(encoder.encode(JSON.stringify(payload)));
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(body));
+  return `${body}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+// Returns the payload, or null when the cursor is malformed or was not signed by us
+export async function decodeCursor(cursor, secret) {
+  const key = await getSigningKey(secret);
+  const [body, signature, extra] = String(cursor).split('.');
+  if (!body || !signature || extra !== undefined) return null;
+
+  try {
+    const valid = await crypto.subtle.verify('HMAC', key, fromBase64Url(signature), encoder.encode(body));
+    if (!valid) return null;
+    const payload = JSON.parse(decoder.decode(fromBase64Url(body)));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,28 @@
+// Cloudflare D1 (SQLite) backend, bound as env.DB; also what local development runs against
+export const sqliteDialect = {
+  name: 'sqlite',
+  // D1 does not expose SQLite's math functions, so decayed scores are computed in JS
+  supportsPower: false,
+  now: () => "datetime('now')",
+  ago: (amount, unit) => `datetime('now', '-${Number(amount)} ${unit.toLowerCase()}s')`,
+  ageSeconds: column => `MAX((julianday('now') - julianday(${column})) * 86400, 0)`,
+  // An INSERT that skips rows colliding with a primary or unique key
+  insertIgnore: table => `INSERT OR IGNORE INTO ${table}`,
+  // D1 binds at most 100 parameters per statement, so lists travel as one JSON array parameter
+  maxParams: 100,
+  inList: values => ({ sql: '(SELECT value FROM json_each(?))', params: [JSON.stringify(values)] })
+};
+
+export function createD1Database(env) {
+  if (!env.DB) {
+    throw new Error('DB_BACKEND is "d1" but no D1 database is bound as DB');
+  }
+
+  return {
+    dialect: sqliteDialect,
+    async execute(sql, params = []) {
+      const result = await env.DB.prepare(sql).bind(...params).all();
+      return { rows: result.results || [], rowsAffected: result.meta?.changes ?? 0 };
+    }
+  };
+}
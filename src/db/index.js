@@ -0,0 +1,38 @@
+// Database backends share one interface: execute(sql, params) -> { rows, rowsAffected }, plus a SQL dialect
+import { createMySqlDatabase } from './mysql.js';
+import { createD1Database } from './d1.js';
+
+const backends = {
+  mysql: createMySqlDatabase,
+  d1: createD1Database
+};
+
+// DB_BACKEND selects the backend; MySQL stays the default so existing deployments need no changes
+export function createDatabase(env) {
+  const backend = (env.DB_BACKEND || 'mysql').toLowerCase();
+  const create = backends[backend];
+  if (!create) {
+    throw new Error(`Unknown DB_BACKEND "${env.DB_BACKEND}", expected one of: ${Object.keys(backends).join(', ')}`);
+  }
+  return create(env);
+}
+
+// Expands a short, fixed list into "?, ?, ?" for IN (...) clauses
+export function placeholders(values) {
+  return values.map(() => '?').join(',');
+}
+
+// The right-hand side of "column IN ..." for a list of any length, as { sql, params }; see dialect.inList
+export function inList(db, values) {
+  return db.dialect.inList(values);
+}
+
+// Splits rows for multi-row INSERTs so each statement stays within the backend's bound parameter limit
+export function insertBatches(db, rows, paramsPerRow) {
+  const size = Math.max(Math.floor(db.dialect.maxParams / paramsPerRow), 1);
+  const batches = [];
+  for (let i = 0; i < rows.length; i += size) {
+    batches.push(rows.slice(i, i + size));
+  }
+  return batches;
+}
@@ -0,0 +1,41 @@
+// MySQL over the PlanetScale serverless driver, configured from DB_* vars and the DB_PASSWORD secret
+import { connect } from '@planetscale/database';
+
+export const mysqlDialect = {
+  name: 'mysql',
+  supportsPower: true,
+  now: () => 'NOW()',
+  ago: (amount, unit) => `DATE_SUB(NOW(), INTERVAL ${Number(amount)} ${unit.toUpperCase()})`,
+  ageSeconds: column => `GREATEST(TIMESTAMPDIFF(SECOND, ${column}, NOW()), 0)`,
+  insertIgnore: table => `INSERT IGNORE INTO ${table}`,
+  maxParams: 65535,
+  inList: values => ({ sql: `(${values.map(() => '?').join(',')})`, params: values })
+};
+
+export function createMySqlDatabase(env) {
+  const missing = ['DB_HOST', 'DB_USER', 'DB_PASSWORD', 'DB_NAME'].filter(name => !env[name]);
+  if (missing.length > 0) {
+    throw new Error(`Missing database configuration: ${missing.join(', ')}`);
+  }
+
+  const credentials = `${encodeURIComponent(env.DB_USER)}:${encodeURIComponent(env.DB_PASSWORD)}`;
+  const connection = connect({
+    url: `mysql://${credentials}@${env.DB_HOST}:${env.DB_PORT || 3306}/${env.DB_NAME}`,
+    // Add fetch configuration to prevent cache issues
+    fetch: (url, init) => {
+      // Remove cache field if present to avoid Workers compatibility issues
+      if (init && init.cache) {
+        delete init.cache;
+      }
+      return fetch(url, init);
+    }
+  });
+
+  return {
+    dialect: mysqlDialect,
+    async execute(sql, params = []) {
+      const result = await connection.execute(sql, params);
+      return { rows: result.rows, rowsAffected: result.rowsAffected };
+    }
+  };
+}
@@ -0,0 +1,110 @@
+// Shapes raw post rows for API responses: parsed JSON columns, author avatars and reply context.
+// Photos and avatars are returned as /media URLs (prefixed with mediaBase), never as inline data.
+// replyTo is null for replies to an author in `blocked`, so a blocked user's name and avatar never show up.
+import * as usersRepo from './repositories/users.js';
+import { mediaUrl } from './media.js';
+import { log } from './observability.js';
+
+export const DEFAULT_PROFILE_PICTURE = 'https://latestnewsandaffairs.site/public/pfp.jpg';
+
+export async function enrichPostsWithUserData(db, posts, defaultPfp = DEFAULT_PROFILE_PICTURE, mediaBase = '', blocked = []) {
+  if (posts.length === 0) return [];
+  const blockedSet = new Set(blocked);
+
+  try {
+    const usernames = [...new Set(posts.map(p => p.username))];
+    const replyToUsernames = posts
+      .map(p => {
+        try {
+          const replyTo = p.replyTo ? JSON.parse(p.replyTo) : null;
+          return replyTo?.username;
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+    const allUsernames = [...new Set([...usernames, ...replyToUsernames])];
+    const usersMap = {};
+    
+    if (allUsernames.length && allUsernames.length <= 200) { // Limit usernames to prevent query issues
+      const limitedUsernames = allUsernames.slice(0, 200);
+      const users = await usersRepo.findProfilePictures(db, limitedUsernames);
+
+      await Promise.all(users.map(async u => {
+        usersMap[u.username.toLowerCase()] = await mediaUrl(u.profile_picture, 'avatars', u.username, mediaBase, u.profile_picture_version) || defaultPfp;
+      }));
+    }
+
+    return await Promise.all(posts.map(async p => {
+      let replyToData = null;
+      try {
+        replyToData = p.replyTo ? JSON.parse(p.replyTo) : null;
+        if (blockedSet.has(replyToData?.username)) {
+          replyToData = null;
+        } else if (replyToData) {
+          replyToData.profilePicture = usersMap[replyToData.username?.toLowerCase()] || defaultPfp;
+        }
+      } catch {
+        replyToData = null;
+      }
+
+      return {
+        _id: p._id,
+        message: p.message,
+        timestamp: p.timestamp,
+        username: p.username,
+        likes: p.likes || 0,
+        likedBy: (() => {
+          try {
+            return (p.likedBy && typeof p.likedBy === 'string') ? JSON.parse(p.likedBy) : (p.likedBy || []);
+          } catch {
+            return [];
+          }
+        })(),
+        hearts: p.hearts || 0,
+        heartedBy: (() => {
+          try {
+            return (p.heartedBy && typeof p.heartedBy === 'string') ? JSON.parse(p.heartedBy) : (p.heartedBy || []);
+          } catch {
+            return [];
+          }
+        })(),
+        commentCount: p.comments_count || 0,
+        photo: await mediaUrl(p.photo, 'posts', p._id, mediaBase, p.photo_version),
+        profilePicture: usersMap[p.username.toLowerCase()] || defaultPfp,
+        tags: (() => {
+          try {
+            return p.tags ? (typeof p.tags === 'string' ? JSON.parse(p.tags) : p.tags) || [] : [];
+          } catch {
+            return [];
+          }
+        })(),
+        feedType: p.feedType || 'regular',
+        views_count: p.views_count || 0,
+        status: p.status || 'visible',
+        replyTo: replyToData
+      };
+    }));
+  } catch (error) {
+    log('error', 'Error enriching posts', { error });
+    return posts.map(p => ({
+      _id: p._id,
+      message: p.message || '',
+      timestamp: p.timestamp,
+      username: p.username,
+      likes: p.likes || 0,
+      likedBy: [],
+      hearts: p.hearts || 0,
+      heartedBy: [],
+      commentCount: p.comments_count || 0,
+      photo: null,
+      profilePicture: defaultPfp,
+      tags: [],
+      feedType: p.feedType || 'regular',
+      views_count: p.views_count || 0,
+      status: p.status || 'visible',
+      replyTo: null
+    }));
+  }
+}
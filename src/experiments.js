@@ -0,0 +1,105 @@
+// Feed A/B experiments: users are hashed into weighted arms that swap composition and ranking strategies
+import { parseWeights } from './feedConfig.js';
+import { toSqlDateTime } from './http.js';
+import { insertExposures } from './repositories/feedExposures.js';
+import { log } from './observability.js';
+
+const FEED_EXPERIMENT_KV_KEY = 'feed:experiment';
+
+// Allowed values per ranking slot; the first entry is the production behaviour
+export const RANKING_STRATEGIES = {
+  random: ['score', 'uniform', 'recency'],
+  friends: ['score', 'recent'],
+  order: ['shuffle', 'recency']
+};
+
+export const DEFAULT_RANKING = Object.fromEntries(
+  Object.entries(RANKING_STRATEGIES).map(([slot, strategies]) => [slot, strategies[0]])
+);
+
+// Experiment config (KV "feed:experiment" or the FEED_EXPERIMENT var):
+// {
+//   "name": "friends-boost",
+//   "arms": [
+//     { "name": "control", "weight": 50 },
+//     { "name": "more-friends", "weight": 25, "mix": "random:3,following:3,friends:4" },
+//     { "name": "fresh", "weight": 25, "ranking": { "random": "recency", "order": "recency" } }
+//   ]
+// }
+export async function loadFeedExperiment(env) {
+  let raw = null;
+  if (env.FEED_CONFIG) {
+    try {
+      raw = await env.FEED_CONFIG.get(FEED_EXPERIMENT_KV_KEY);
+    } catch (error) {
+      log('error', 'Error loading feed experiment from KV', { error });
+    }
+  }
+  raw = raw || env.FEED_EXPERIMENT;
+  if (!raw) return null;
+
+  try {
+    return normalizeExperiment(typeof raw === 'string' ? JSON.parse(raw) : raw);
+  } catch (error) {
+    log('error', 'Invalid feed experiment config', { error });
+    return null;
+  }
+}
+
+function normalizeExperiment(config) {
+  if (!config?.name || config.enabled === false || !Array.isArray(config.arms)) return null;
+
+  const arms = config.arms
+    .filter(arm => arm?.name && Number(arm.weight) > 0)
+    .map(arm => {
+      const ranking = { ...DEFAULT_RANKING };
+      Object.entries(arm.ranking || {}).forEach(([slot, strategy]) => {
+        if (!RANKING_STRATEGIES[slot]?.includes(strategy)) {
+          throw new Error(`Unknown ${slot} ranking strategy "${strategy}" in arm ${arm.name}`);
+        }
+        ranking[slot] = strategy;
+      });
+
+      const mix = arm.mix ? parseWeights(arm.mix) : null;
+      if (arm.mix && !mix) throw new Error(`Invalid mix in arm ${arm.name}`);
+
+      return { name: String(arm.name), weight: Number(arm.weight), mix, ranking };
+    });
+
+  return arms.length > 0 ? { name: String(config.name), arms } : null;
+}
+
+// FNV-1a; stable across isolates so a user keeps the same arm for the life of the experiment
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export function assignVariant(experiment, userId) {
+  const totalWeight = experiment.arms.reduce((sum, arm) => sum + arm.weight, 0);
+  let point = (hashString(`${experiment.name}:${userId}`) / 0x100000000) * totalWeight;
+
+  for (const arm of experiment.arms) {
+    if (point < arm.weight) return arm;
+    point -= arm.weight;
+  }
+  return experiment.arms[experiment.arms.length - 1];
+}
+
+// One row per served post so exposures join to post_views on (user_id, post_id)
+export async function logExposures(db, userId, experiment, variant, posts) {
+  const servedAt = toSqlDateTime(new Date());
+  await insertExposures(db, posts.map((post, position) => ({
+    userId,
+    postId: post._id,
+    experiment,
+    variant,
+    bucket: post.feedType || 'unknown',
+    position,
+    servedAt
+  })));
+}
@@ -0,0 +1,72 @@
+// Feed composition weights: KV (FEED_CONFIG) overrides the FEED_WEIGHTS var, which overrides the defaults
+import { log } from './observability.js';
+
+export const FEED_BUCKETS = ['random', 'following', 'friends', 'regional'];
+export const DEFAULT_FEED_WEIGHTS = { random: 4, following: 3, friends: 2, regional: 1 };
+const FEED_WEIGHTS_KV_KEY = 'feed:weights';
+
+// Accepts either JSON ({"random": 4, ...}) or the `mix` shorthand (random:4,following:3)
+export function parseWeights(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return normalizeWeights(value);
+
+  const text = String(value).trim();
+  if (text.startsWith('{')) {
+    try {
+      return normalizeWeights(JSON.parse(text));
+    } catch {
+      return null;
+    }
+  }
+
+  const weights = {};
+  for (const part of text.split(',')) {
+    const [bucket, weight] = part.split(':').map(s => s.trim());
+    if (!FEED_BUCKETS.includes(bucket) || weight === undefined || weight === '') return null;
+    weights[bucket] = Number(weight);
+  }
+  return normalizeWeights(weights);
+}
+
+function normalizeWeights(raw) {
+  const weights = {};
+  let total = 0;
+  for (const bucket of FEED_BUCKETS) {
+    const weight = raw[bucket] === undefined ? 0 : Number(raw[bucket]);
+    if (!Number.isFinite(weight) || weight < 0) return null;
+    weights[bucket] = weight;
+    total += weight;
+  }
+  return total > 0 ? weights : null;
+}
+
+export async function loadFeedWeights(env) {
+  if (env.FEED_CONFIG) {
+    try {
+      const stored = parseWeights(await env.FEED_CONFIG.get(FEED_WEIGHTS_KV_KEY));
+      if (stored) return stored;
+    } catch (error) {
+      log('error', 'Error loading feed weights from KV', { error });
+    }
+  }
+  return parseWeights(env.FEED_WEIGHTS) || { ...DEFAULT_FEED_WEIGHTS };
+}
+
+// Largest-remainder apportionment so the bucket counts always add up to `limit`
+export function scaleWeights(weights, limit) {
+  const total = FEED_BUCKETS.reduce((sum, bucket) => sum + weights[bucket], 0);
+  const exact = FEED_BUCKETS.map(bucket => ({ bucket, share: (weights[bucket] / total) * limit }));
+  const counts = Object.fromEntries(exact.map(({ bucket, share }) => [bucket, Math.floor(share)]));
+
+  let remaining = limit - Object.values(counts).reduce((sum, n) => sum + n, 0);
+  exact
+    .sort((a, b) => (b.share - Math.floor(b.share)) - (a.share - Math.floor(a.share)))
+    .forEach(({ bucket }) => {
+      if (remaining > 0 && weights[bucket] > 0) {
+        counts[bucket]++;
+        remaining--;
+      }
+    });
+
+  return counts;
+}
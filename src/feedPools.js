@@ -0,0 +1,250 @@
+// Candidate pools precomputed by the scheduled (cron) handler and stored in the FEED_POOLS KV namespace:
+// the recent posts the random bucket samples from, the decayed-score trending list, a top list per
+// category and per-city/region/country pools for the regional bucket. Readers fall back to live queries
+// whenever a pool is missing, so the feed works (just slower) without the binding or before the first run.
+import { createDatabase } from './db/index.js';
+import { loadTaxonomy } from './categories.js';
+import { loadRankingWeights, scorePost } from './scoring.js';
+import * as postsRepo from './repositories/posts.js';
+import { log } from './observability.js';
+
+export const RANDOM_WINDOW_DAYS = 7;
+export const TRENDING_WINDOW_DAYS = 30;
+export const REGIONAL_WINDOW_DAYS = 3;
+
+const RECENT_POOL_SIZE = 500;
+const TRENDING_POOL_SIZE = 1000;
+const CATEGORY_POOL_SIZE = 200;
+const REGIONAL_POOL_SIZE = 100;
+const REGIONAL_SCAN_LIMIT = 5000;
+const MAX_LOCATIONS_PER_LEVEL = 200;
+const LOCATION_LEVELS = ['city', 'region', 'country'];
+
+// KV writes are billed (and limited to one per second per key) while reads are cheap, so a run only rewrites
+// the pools whose posts changed. Unchanged pools are rewritten once they are POOL_MAX_AGE_SECONDS old, which
+// keeps them from expiring; the TTL still drops every pool soon after the cron stops.
+const POOL_TTL_SECONDS = 3600;
+const POOL_MAX_AGE_SECONDS = 1800;
+const POOL_READ_CACHE_SECONDS = 60;
+const KV_WRITE_BATCH = 20;
+// What each pool held when it was last written: { [key]: { fingerprint, writtenAt } }
+const MANIFEST_KEY = 'pool:manifest';
+// Pool entries checked for visibility per query when paging the trending list
+const VISIBILITY_CHUNK = 200;
+
+// Only what sampling, ranking and the exclusion filters need; the picked posts are loaded by id
+function toEntry(post, weights) {
+  const entry = {
+    _id: post._id,
+    username: post.username,
+    timestamp: post.timestamp,
+    likes: Number(post.likes) || 0,
+    hearts: Number(post.hearts) || 0,
+    comments_count: Number(post.comments_count) || 0,
+    views_count: Number(post.views_count) || 0,
+    categories: post.categories || null
+  };
+  if (weights) entry.score = scorePost(entry, weights);
+  // Regional pools keep the author's narrower locations so readers can skip them like the live query does
+  if (post.author_city !== undefined) Object.assign(entry, { author_city: post.author_city, author_region: post.author_region });
+  return entry;
+}
+
+function poolKey(...parts) {
+  return ['pool', ...parts.map(part => encodeURIComponent(part))].join(':');
+}
+
+// === BUILDING ===
+// `complete` pools hold every post that qualified, so readers can page past their end without a live query
+function buildPool(posts, size, weights = null) {
+  return {
+    generatedAt: new Date().toISOString(),
+    complete: posts.length < size,
+    posts: posts.slice(0, size).map(post => toEntry(post, weights))
+  };
+}
+
+async function buildRegionalPools(db) {
+  const rows = await postsRepo.findRecentWithAuthorLocation(db, { sinceDays: REGIONAL_WINDOW_DAYS, limit: REGIONAL_SCAN_LIMIT });
+  const scanComplete = rows.length < REGIONAL_SCAN_LIMIT;
+  const pools = {};
+
+  LOCATION_LEVELS.forEach(level => {
+    const byLocation = new Map();
+    rows.forEach(row => {
+      const location = row[`author_${level}`];
+      if (!location) return;
+      if (!byLocation.has(location)) byLocation.set(location, []);
+      byLocation.get(location).push(row);
+    });
+
+    // The busiest locations get a pool; quieter ones stay on the live query
+    [...byLocation.entries()]
+      .sort((a, b) => b[1].length - a[1].length)
+      .slice(0, MAX_LOCATIONS_PER_LEVEL)
+      .forEach(([location, posts]) => {
+        const pool = buildPool(posts, REGIONAL_POOL_SIZE);
+        pool.complete = pool.complete && scanComplete;
+        pools[poolKey('regional', level, location)] = pool;
+      });
+  });
+  return pools;
+}
+
+export async function buildFeedPools(db, env) {
+  const [weights, taxonomy] = await Promise.all([loadRankingWeights(env), loadTaxonomy(db)]);
+  const trendingFilters = { sinceDays: TRENDING_WINDOW_DAYS };
+
+  const [recent, trending, regional] = await Promise.all([
+    postsRepo.findRecent(db, { sinceDays: RANDOM_WINDOW_DAYS, limit: RECENT_POOL_SIZE }),
+    postsRepo.listPosts(db, trendingFilters, { order: 'trending', weights, limit: TRENDING_POOL_SIZE }),
+    buildRegionalPools(db)
+  ]);
+
+  const pools = {
+    [poolKey('recent')]: buildPool(recent, RECENT_POOL_SIZE),
+    [poolKey('trending')]: buildPool(trending, TRENDING_POOL_SIZE, weights),
+    ...regional
+  };
+  for (const category of taxonomy.categories) {
+    const top = await postsRepo.listPosts(db, { ...trendingFilters, categories: [category.postValue] }, {
+      order: 'trending',
+      weights,
+      limit: CATEGORY_POOL_SIZE
+    });
+    pools[poolKey('category', category.postValue)] = buildPool(top, CATEGORY_POOL_SIZE, weights);
+  }
+  return pools;
+}
+
+// Everything a pool holds except when it was built. Scored pools change on every run as their scores decay;
+// recent and regional pools only when a post comes, goes or gains engagement.
+async function poolFingerprint(pool) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify([pool.complete, pool.posts])));
+  return [...new Uint8Array(digest)].slice(0, 8).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function readManifest(env) {
+  try {
+    return await env.FEED_POOLS.get(MANIFEST_KEY, { type: 'json' }) || {};
+  } catch (error) {
+    log('error', 'Error reading the feed pool manifest, rewriting every pool', { error });
+    return {};
+  }
+}
+
+// Entry point for the cron trigger
+export async function refreshFeedPools(env) {
+  if (!env.FEED_POOLS) {
+    log('info', 'FEED_POOLS is not bound; skipping feed pool refresh');
+    return;
+  }
+
+  const started = Date.now();
+  const [pools, previous] = await Promise.all([buildFeedPools(createDatabase(env), env), readManifest(env)]);
+  const manifest = {};
+  const changed = [];
+  for (const [key, pool] of Object.entries(pools)) {
+    const fingerprint = await poolFingerprint(pool);
+    const last = previous[key];
+    if (last?.fingerprint === fingerprint && started - last.writtenAt < POOL_MAX_AGE_SECONDS * 1000) {
+      manifest[key] = last;
+    } else {
+      manifest[key] = { fingerprint, writtenAt: started };
+      changed.push([key, pool]);
+    }
+  }
+
+  for (let i = 0; i < changed.length; i += KV_WRITE_BATCH) {
+    await Promise.all(changed.slice(i, i + KV_WRITE_BATCH).map(([key, pool]) =>
+      env.FEED_POOLS.put(key, JSON.stringify(pool), { expirationTtl: POOL_TTL_SECONDS })
+    ));
+  }
+  // Written last, so a run that fails halfway rewrites the pools it missed next time
+  await env.FEED_POOLS.put(MANIFEST_KEY, JSON.stringify(manifest));
+  log('info', 'Refreshed feed pools', { pools: Object.keys(pools).length, written: changed.length, ms: Date.now() - started });
+}
+
+// === READING ===
+async function readPool(env, key) {
+  if (!env.FEED_POOLS) return null;
+  try {
+    return await env.FEED_POOLS.get(key, { type: 'json', cacheTtl: POOL_READ_CACHE_SECONDS });
+  } catch (error) {
+    log('error', 'Error reading feed pool', { key, error });
+    return null;
+  }
+}
+
+// One per request: every bucket that asks for the same pool shares a single KV read
+export function createPoolReader(env) {
+  const reads = new Map();
+  const read = key => {
+    if (!reads.has(key)) reads.set(key, readPool(env, key));
+    return reads.get(key);
+  };
+  return {
+    recent: () => read(poolKey('recent')),
+    regional: (level, location) => read(poolKey('regional', level, location))
+  };
+}
+
+// Full rows for the chosen entries, in the same order; posts hidden or deleted since the pool was built drop out
+async function loadPooledPosts(db, entries) {
+  const rows = await postsRepo.findVisibleByIds(db, entries.map(entry => entry._id));
+  const byId = new Map(rows.map(row => [row._id, row]));
+  return entries.map(entry => byId.get(entry._id)).filter(Boolean);
+}
+
+// Full rows for `count` candidates chosen by pick(remaining, n). Posts hidden or deleted since the pool was
+// built are replaced by picking again from the candidates left, so the result only comes up short when
+// the candidates run out.
+export async function loadPooledPicks(db, candidates, count, pick) {
+  const posts = [];
+  let remaining = candidates;
+  while (posts.length < count && remaining.length > 0) {
+    const picked = pick(remaining, count - posts.length);
+    if (picked.length === 0) break;
+    posts.push(...await loadPooledPosts(db, picked));
+    const pickedIds = new Set(picked.map(entry => entry._id));
+    remaining = remaining.filter(entry => !pickedIds.has(entry._id));
+  }
+  return posts;
+}
+
+// The trending listing from the pools as { posts, hasMore }, or null when they cannot answer the query exactly
+// (filters the pools do not cover, a missing pool, or a page reaching the end of an incomplete one).
+// filters.categories are served from the per-category lists; blocked authors are dropped in memory.
+// Offsets count visible posts, like the live query, so posts hidden since the last refresh never leave a
+// page short; entries are checked from the top of the list until the page and one more post are found.
+export async function listTrendingFromPool(db, env, filters, { limit, offset }) {
+  const unsupported = filters.usernameLike || filters.startTimestamp || filters.author || filters.tag || filters.before;
+  if (!env.FEED_POOLS || unsupported || filters.sinceDays !== TRENDING_WINDOW_DAYS) return null;
+
+  const keys = filters.categories?.length
+    ? filters.categories.map(value => poolKey('category', value))
+    : [poolKey('trending')];
+  const pools = await Promise.all(keys.map(key => readPool(env, key)));
+  if (pools.some(pool => !pool)) return null;
+
+  const excluded = new Set(filters.excludeAuthors || []);
+  const seen = new Set();
+  const entries = pools
+    .flatMap(pool => pool.posts)
+    .filter(entry => !excluded.has(entry.username) && !seen.has(entry._id) && seen.add(entry._id))
+    .sort((a, b) => b.score - a.score);
+
+  const visible = [];
+  for (let i = 0; i < entries.length && visible.length <= offset + limit; i += VISIBILITY_CHUNK) {
+    const chunk = entries.slice(i, i + VISIBILITY_CHUNK);
+    const ids = new Set(await postsRepo.findVisibleIds(db, chunk.map(entry => entry._id)));
+    visible.push(...chunk.filter(entry => ids.has(entry._id)));
+  }
+
+  const hasMore = visible.length > offset + limit;
+  if (!hasMore && !pools.every(pool => pool.complete)) return null;
+  return {
+    posts: await loadPooledPosts(db, visible.slice(offset, offset + limit)),
+    hasMore
+  };
+}
@@ -0,0 +1,49 @@
+// Shared response helpers
+export function jsonResponse(body, status, headers) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...Object.fromEntries(headers), 'Content-Type': 'application/json' }
+  });
+}
+
+// Stable error codes clients can branch on, with the status each one is sent with
+const ERROR_STATUS = {
+  validation_failed: 400,
+  invalid_json: 400,
+  invalid_cursor: 400,
+  authentication_required: 401,
+  invalid_token: 401,
+  forbidden: 403,
+  not_found: 404,
+  method_not_allowed: 405,
+  conflict: 409,
+  payload_too_large: 413,
+  unsupported_media_type: 415,
+  upgrade_required: 426,
+  rate_limited: 429,
+  internal_error: 500,
+  service_unavailable: 503
+};
+
+// Every error leaves the worker as { error: { code, message, details? } }
+export function errorResponse(code, message, headers, { details = undefined, extraHeaders = undefined } = {}) {
+  const error = { code, message };
+  if (details !== undefined) error.details = details;
+  return new Response(JSON.stringify({ error }), {
+    status: ERROR_STATUS[code],
+    headers: { ...Object.fromEntries(headers), ...extraHeaders, 'Content-Type': 'application/json' }
+  });
+}
+
+export async function readJsonBody(request) {
+  try {
+    return await request.json();
+  } catch {
+    return null;
+  }
+}
+
+// MySQL DATETIME literal (UTC) for a Date
+export function toSqlDateTime(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
@@ -0,0 +1,424 @@
+// Images: post photos and avatars stored in the database are served as bytes from /media instead of
+// being inlined as base64, and new uploads go to R2 (MEDIA_BUCKET)
+import { errorResponse, jsonResponse } from './http.js';
+import * as postsRepo from './repositories/posts.js';
+import * as usersRepo from './repositories/users.js';
+import { filterViewable } from './moderation.js';
+import { log } from './observability.js';
+
+export const MEDIA_KINDS = ['posts', 'avatars', 'uploads'];
+const UPLOAD_PREFIX = 'r2:'; // Column values pointing at an uploaded object, e.g. "r2:5f1c…e9.png"
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{24}\.(jpg|png|gif|webp)$/;
+const DEFAULT_MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+const MAX_DIMENSION = 8192;
+const BASE64_PATTERN = /^[A-Za-z0-9+/=\s]+$/;
+
+// Database images can be replaced in place, so their URLs carry a content hash that changes with the image.
+// The hash is computed when the image is written (posts.photo_version, users.profile_picture_version); rows
+// from before that column are hashed on read. Every post photo and avatar can be taken down by a moderator,
+// so even versioned URLs are only cached briefly.
+const SHORT_CACHE = 'public, max-age=300';
+// Images only their author or an admin may see (hidden posts, banned users, unattached uploads) stay out of
+// shared caches
+const PRIVATE_CACHE = 'private, max-age=300';
+
+const IMAGE_FORMATS = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  png: { contentType: 'image/png', extension: 'png' },
+  gif: { contentType: 'image/gif', extension: 'gif' },
+  webp: { contentType: 'image/webp', extension: 'webp' }
+};
+
+// Smaller renditions of uploads, produced by Cloudflare Image Resizing when MEDIA_IMAGE_RESIZING is "true"
+const VARIANT_WIDTHS = { thumbnail: 320, medium: 1080 };
+
+export const MEDIA_QUERY = {
+  v: { type: 'string', max: 64 },
+  w: { type: 'integer', enum: Object.values(VARIANT_WIDTHS) }
+};
+
+export const UPLOAD_ID_RULE = {
+  type: 'string',
+  pattern: UPLOAD_ID_PATTERN,
+  patternMessage: 'must be an id returned by POST /media'
+};
+
+function startsWith(bytes, signature, offset = 0) {
+  return signature.every((byte, i) => bytes[offset + i] === byte);
+}
+
+const ascii = text => [...text].map(c => c.charCodeAt(0));
+
+// Format from the leading magic bytes; null when the bytes are not a supported image
+export function sniffImageFormat(bytes) {
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) return 'jpeg';
+  if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+  if (startsWith(bytes, ascii('GIF87a')) || startsWith(bytes, ascii('GIF89a'))) return 'gif';
+  if (startsWith(bytes, ascii('RIFF')) && startsWith(bytes, ascii('WEBP'), 8)) return 'webp';
+  return null;
+}
+
+// Pixel dimensions from the image header; null when the header is truncated or malformed
+export function readImageSize(bytes, format) {
+  const u16be = i => (bytes[i] << 8) | bytes[i + 1];
+  const u16le = i => bytes[i] | (bytes[i + 1] << 8);
+  const u24le = i => bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16);
+  const u32be = i => ((bytes[i] << 24) >>> 0) + ((bytes[i + 1] << 16) | (bytes[i + 2] << 8) | bytes[i + 3]);
+
+  switch (format) {
+    case 'png':
+      if (bytes.length < 24) return null;
+      return { width: u32be(16), height: u32be(20) };
+    case 'gif':
+      if (bytes.length < 10) return null;
+      return { width: u16le(6), height: u16le(8) };
+    case 'webp': {
+      if (bytes.length < 30) return null;
+      if (startsWith(bytes, ascii('VP8 '), 12)) return { width: u16le(26) & 0x3fff, height: u16le(28) & 0x3fff };
+      if (startsWith(bytes, ascii('VP8L'), 12)) {
+        return {
+          width: 1 + (((bytes[22] & 0x3f) << 8) | bytes[21]),
+          height: 1 + (((bytes[24] & 0x0f) << 10) | (bytes[23] << 2) | ((bytes[22] & 0xc0) >> 6))
+        };
+      }
+      if (startsWith(bytes, ascii('VP8X'), 12)) return { width: 1 + u24le(24), height: 1 + u24le(27) };
+      return null;
+    }
+    case 'jpeg': {
+      // Walk the marker segments up to the first start-of-frame
+      let i = 2;
+      while (i + 9 < bytes.length) {
+        if (bytes[i] !== 0xff) return null;
+        const marker = bytes[i + 1];
+        if (marker === 0xff) {
+          i++;
+        } else if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+          i += 2;
+        } else if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+          return { width: u16be(i + 7), height: u16be(i + 5) };
+        } else {
+          i += 2 + u16be(i + 2);
+        }
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+async function sha256Hex(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function contentVersion(text) {
+  return (await sha256Hex(typeof text === 'string' ? new TextEncoder().encode(text) : text)).slice(0, 16);
+}
+
+function base64ToBytes(text) {
+  try {
+    return Uint8Array.from(atob(text.replace(/\s/g, '')), c => c.charCodeAt(0));
+  } catch {
+    return null;
+  }
+}
+
+// Column values come as data: URLs, bare base64 (both labelled JPEG in the past whatever they held),
+// or raw bytes from BLOB columns
+function decodeStoredImage(value) {
+  if (value instanceof Uint8Array) {
+    return sniffImageFormat(value) ? value : decodeStoredImage(new TextDecoder().decode(value));
+  }
+  if (typeof value !== 'string' || value === '') return null;
+  if (value.startsWith('data:')) {
+    const comma = value.indexOf(',');
+    return comma === -1 ? null : base64ToBytes(value.slice(comma + 1));
+  }
+  return BASE64_PATTERN.test(value) ? base64ToBytes(value) : null;
+}
+
+function storedText(value) {
+  return value instanceof Uint8Array && !sniffImageFormat(value) ? new TextDecoder().decode(value) : value;
+}
+
+// Prefix for media URLs: MEDIA_BASE_URL when clients live on another origin, otherwise root-relative
+export function mediaBaseUrl(env) {
+  return (env.MEDIA_BASE_URL || '').replace(/\/+$/, '');
+}
+
+function isExternalUrl(text) {
+  return typeof text === 'string' && /^https?:\/\//.test(text);
+}
+
+function isUploadReference(text) {
+  return typeof text === 'string' && text.startsWith(UPLOAD_PREFIX);
+}
+
+// The content hash to store next to an image column value; null for external URLs and uploads,
+// whose URLs do not depend on the content
+export async function imageVersion(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const text = storedText(value);
+  if (isExternalUrl(text) || isUploadReference(text)) return null;
+  return await contentVersion(text);
+}
+
+// The URL clients should load a stored image from, or null when there is none.
+// External URLs pass through unchanged. version is the stored imageVersion, when the row has one.
+// Uploads are served through the post or avatar that uses them too, so moderation applies to them.
+export async function mediaUrl(value, kind, id, mediaBase = '', version = null) {
+  if (value === null || value === undefined || value === '') return null;
+  const text = storedText(value);
+  if (isExternalUrl(text)) return text;
+  return `${mediaBase}/v1/media/${kind}/${encodeURIComponent(id)}?v=${version || await contentVersion(text)}`;
+}
+
+// { url, contentType, bytes } for a stored image, for feed enclosures; bytes is null when unknown.
+// The URL is root-relative unless MEDIA_BASE_URL is set.
+export async function describeMedia(value, kind, id, env, version = null) {
+  const url = await mediaUrl(value, kind, id, mediaBaseUrl(env), version);
+  if (!url) return null;
+  const text = storedText(value);
+
+  if (isUploadReference(text)) {
+    const uploadId = text.slice(UPLOAD_PREFIX.length);
+    const extension = uploadId.split('.').pop();
+    const format = Object.values(IMAGE_FORMATS).find(candidate => candidate.extension === extension);
+    const object = env.MEDIA_BUCKET && UPLOAD_ID_PATTERN.test(uploadId) ? await env.MEDIA_BUCKET.head(`uploads/${uploadId}`) : null;
+    return { url, contentType: format?.contentType || 'application/octet-stream', bytes: object?.size ?? null };
+  }
+
+  const bytes = decodeStoredImage(value);
+  const format = bytes && sniffImageFormat(bytes);
+  if (format) return { url, contentType: IMAGE_FORMATS[format].contentType, bytes: bytes.length };
+
+  // An external URL; the type is a guess from its extension
+  const extension = (/\.([a-z]+)(?:[?#]|$)/i.exec(url)?.[1] || '').toLowerCase().replace('jpeg', 'jpg');
+  const guessed = Object.values(IMAGE_FORMATS).find(candidate => candidate.extension === extension);
+  return { url, contentType: guessed?.contentType || 'image/jpeg', bytes: null };
+}
+
+export function uploadReference(uploadId) {
+  return `${UPLOAD_PREFIX}${uploadId}`;
+}
+
+function etagMatches(request, etag) {
+  const header = request.headers.get('If-None-Match');
+  return Boolean(header) && header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+function imageHeaders(headers, contentType, etag, cacheControl) {
+  const result = new Headers(headers);
+  result.set('Content-Type', contentType);
+  result.set('Cache-Control', cacheControl);
+  result.set('ETag', etag);
+  result.set('X-Content-Type-Options', 'nosniff');
+  return result;
+}
+
+function resizingEnabled(env) {
+  return env.MEDIA_IMAGE_RESIZING === 'true';
+}
+
+// Variant URLs for an upload; widths at or above the original are left out since they would not shrink it
+function uploadVariants(env, url, size) {
+  const variants = { original: { url, width: size.width, height: size.height } };
+  if (!resizingEnabled(env)) return variants;
+  Object.entries(VARIANT_WIDTHS).forEach(([name, width]) => {
+    if (width < size.width) {
+      variants[name] = { url: `${url}?w=${width}`, width, height: Math.round(size.height * (width / size.width)) };
+    }
+  });
+  return variants;
+}
+
+// canRead(object), when given, decides from the stored object whether the caller may have it
+async function serveUpload(request, env, uploadId, query, headers, cacheControl, canRead = null) {
+  // The resizer fetches the original through this same route, with the caller's credentials; its requests
+  // carry "image-resizing" in Via
+  if (query.w && resizingEnabled(env) && !/image-resizing/.test(request.headers.get('Via') || '')) {
+    const original = new URL(request.url);
+    original.searchParams.delete('w');
+    const forwarded = { 'Accept': request.headers.get('Accept') || '*/*' };
+    if (request.headers.has('Authorization')) {
+      forwarded['Authorization'] = request.headers.get('Authorization');
+    }
+    const resized = await fetch(original.toString(), {
+      headers: forwarded,
+      cf: { image: { width: query.w, fit: 'scale-down' } }
+    });
+    if (resized.ok) {
+      const responseHeaders = new Headers(resized.headers);
+      headers.forEach((value, name) => responseHeaders.set(name, value));
+      responseHeaders.set('Cache-Control', cacheControl);
+      return new Response(resized.body, { status: 200, headers: responseHeaders });
+    }
+    log('warn', 'Resizing upload failed, serving the original', { uploadId, status: resized.status });
+  }
+
+  if (!env.MEDIA_BUCKET) {
+    return errorResponse('service_unavailable', 'Uploads are not configured', headers);
+  }
+  if (!UPLOAD_ID_PATTERN.test(uploadId)) {
+    return errorResponse('not_found', 'Image not found', headers);
+  }
+  const object = await env.MEDIA_BUCKET.get(`uploads/${uploadId}`);
+  if (!object) {
+    return errorResponse('not_found', 'Image not found', headers);
+  }
+  if (canRead && !canRead(object)) {
+    object.body.cancel();
+    return errorResponse('not_found', 'Image not found', headers);
+  }
+
+  // Upload keys are never reused, so the bytes behind a key never change
+  const etag = `"${object.etag}"`;
+  const responseHeaders = imageHeaders(headers, object.httpMetadata?.contentType || 'application/octet-stream', etag, cacheControl);
+  if (etagMatches(request, etag)) {
+    object.body.cancel();
+    return new Response(null, { status: 304, headers: responseHeaders });
+  }
+  return new Response(object.body, { status: 200, headers: responseHeaders });
+}
+
+// The stored image behind a post or avatar URL, with whether anyone may see it; the value is null when
+// the viewer may not: posts they cannot view (see filterViewable) and avatars of banned users
+async function loadViewableImage(db, kind, id, viewer) {
+  if (kind === 'posts') {
+    const post = await postsRepo.findById(db, id);
+    if (!post || (await filterViewable(db, [post], viewer)).length === 0) return { value: null };
+    return { value: post.photo, version: post.photo_version, isPublic: (post.status || 'visible') === 'visible' };
+  }
+  const [user] = await usersRepo.findProfilePictures(db, [id]);
+  const banned = user && await usersRepo.isBanned(db, id);
+  if (!user || (banned && !viewer?.isAdmin)) return { value: null };
+  return { value: user.profile_picture, version: user.profile_picture_version, isPublic: !banned };
+}
+
+// Hosts stored external image URLs may redirect to: MEDIA_BASE_URL's host and MEDIA_REDIRECT_HOSTS (comma-separated)
+function redirectHosts(env) {
+  const hosts = String(env.MEDIA_REDIRECT_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+  if (env.MEDIA_BASE_URL) {
+    try {
+      hosts.push(new URL(env.MEDIA_BASE_URL).hostname.toLowerCase());
+    } catch {
+      log('warn', 'Ignoring invalid MEDIA_BASE_URL for redirects');
+    }
+  }
+  return hosts;
+}
+
+function isOwnMediaUrl(env, text) {
+  try {
+    return redirectHosts(env).includes(new URL(text).hostname.toLowerCase());
+  } catch {
+    return false;
+  }
+}
+
+// GET /media/posts/:postId, /media/avatars/:username and /media/uploads/:uploadId.
+// Everyone else reads an upload through the post or avatar that uses it, where visibility is checked; the
+// uploads URL is a private preview for the uploader (and admins), whatever the upload is attached to.
+export async function handleGetMedia(request, db, env, kind, id, query, headers, viewer = null) {
+  if (kind === 'uploads') {
+    const isUploader = object => Boolean(viewer) && (viewer.isAdmin || object.customMetadata?.owner === viewer.userId);
+    return await serveUpload(request, env, id, query, headers, PRIVATE_CACHE, isUploader);
+  }
+
+  const { value, version: storedVersion, isPublic } = await loadViewableImage(db, kind, id, viewer);
+  if (value === null || value === undefined || value === '') {
+    return errorResponse('not_found', 'Image not found', headers);
+  }
+
+  const text = storedText(value);
+  // Responses carry external URLs as they are; this route only redirects to our own hosts so it cannot be
+  // used to bounce visitors to arbitrary sites
+  if (isExternalUrl(text)) {
+    if (!isOwnMediaUrl(env, text)) {
+      log('warn', 'Refusing to redirect to an external image host', { kind, id });
+      return errorResponse('not_found', 'Image not found', headers);
+    }
+    return new Response(null, { status: 302, headers: { ...Object.fromEntries(headers), 'Location': text } });
+  }
+  if (isUploadReference(text)) {
+    return await serveUpload(request, env, text.slice(UPLOAD_PREFIX.length), query, headers, isPublic ? SHORT_CACHE : PRIVATE_CACHE);
+  }
+
+  const bytes = decodeStoredImage(value);
+  const format = bytes && sniffImageFormat(bytes);
+  if (!format) {
+    log('warn', 'Stored image is not a supported image', { kind, id });
+    return errorResponse('not_found', 'Image not found', headers);
+  }
+
+  const version = storedVersion || await contentVersion(text);
+  const etag = `"${version}"`;
+  const responseHeaders = imageHeaders(headers, IMAGE_FORMATS[format].contentType, etag, isPublic ? SHORT_CACHE : PRIVATE_CACHE);
+  if (etagMatches(request, etag)) {
+    return new Response(null, { status: 304, headers: responseHeaders });
+  }
+  return new Response(bytes, { status: 200, headers: responseHeaders });
+}
+
+function maxUploadBytes(env) {
+  return Number(env.MEDIA_MAX_UPLOAD_BYTES) || DEFAULT_MAX_UPLOAD_BYTES;
+}
+
+// POST /media with the image as the raw request body. The format is taken from the bytes, not the
+// Content-Type header, and the stored object is only ever served as that format.
+export async function handleUploadMedia(request, env, identity, headers) {
+  if (!env.MEDIA_BUCKET) {
+    return errorResponse('service_unavailable', 'Uploads are not configured', headers);
+  }
+
+  const limit = maxUploadBytes(env);
+  if (Number(request.headers.get('Content-Length')) > limit) {
+    return errorResponse('payload_too_large', `Images may be at most ${limit} bytes`, headers);
+  }
+  const bytes = new Uint8Array(await request.arrayBuffer());
+  if (bytes.length > limit) {
+    return errorResponse('payload_too_large', `Images may be at most ${limit} bytes`, headers);
+  }
+  if (bytes.length === 0) {
+    return errorResponse('validation_failed', 'Request body must be an image', headers);
+  }
+
+  const format = sniffImageFormat(bytes);
+  if (!format) {
+    return errorResponse('unsupported_media_type', `Images must be ${Object.keys(IMAGE_FORMATS).join(', ')}`, headers);
+  }
+  const size = readImageSize(bytes, format);
+  if (!size || size.width < 1 || size.height < 1) {
+    return errorResponse('validation_failed', 'The image header is damaged', headers);
+  }
+  if (size.width > MAX_DIMENSION || size.height > MAX_DIMENSION) {
+    return errorResponse('validation_failed', `Images may be at most ${MAX_DIMENSION}x${MAX_DIMENSION} pixels`, headers);
+  }
+
+  const random = [...crypto.getRandomValues(new Uint8Array(12))].map(b => b.toString(16).padStart(2, '0')).join('');
+  const id = `${random}.${IMAGE_FORMATS[format].extension}`;
+  await env.MEDIA_BUCKET.put(`uploads/${id}`, bytes, {
+    httpMetadata: { contentType: IMAGE_FORMATS[format].contentType },
+    customMetadata: { owner: identity.userId, width: String(size.width), height: String(size.height) }
+  });
+
+  const url = `${mediaBaseUrl(env)}/v1/media/uploads/${id}`;
+  return jsonResponse({
+    id,
+    url,
+    contentType: IMAGE_FORMATS[format].contentType,
+    bytes: bytes.length,
+    width: size.width,
+    height: size.height,
+    variants: uploadVariants(env, url, size)
+  }, 201, headers);
+}
+
+// Checks that an upload exists and belongs to the caller before a post points at it
+export async function findOwnUpload(env, identity, uploadId) {
+  if (!env.MEDIA_BUCKET) return null;
+  const object = await env.MEDIA_BUCKET.head(`uploads/${uploadId}`);
+  if (!object) return null;
+  return object.customMetadata?.owner === identity.userId ? object : null;
+}
@@ -0,0 +1,275 @@
+// Moderation: post visibility, the content filter applied to new and edited posts, user reports,
+// and the admin routes that work through the report queue
+import { errorResponse, jsonResponse, toSqlDateTime } from './http.js';
+import { CURSOR_RULE, limitRule } from './validation.js';
+import { encodeCursor, decodeCursor } from './cursor.js';
+import { DEFAULT_PROFILE_PICTURE, enrichPostsWithUserData } from './enrich.js';
+import { mediaBaseUrl } from './media.js';
+import * as postsRepo from './repositories/posts.js';
+import * as postReportsRepo from './repositories/postReports.js';
+import * as usersRepo from './repositories/users.js';
+import { log } from './observability.js';
+
+export const REPORT_REASONS = ['spam', 'harassment', 'hate', 'violence', 'nudity', 'misinformation', 'other'];
+const FILTER_REPORTER = 'system'; // Reporter recorded for posts the content filter sent to review
+const DEFAULT_AUTO_HIDE_REPORTS = 5;
+const MODERATION_FILTER_KV_KEY = 'moderation:filter';
+
+// hide/remove/restore set the post's status; dismiss closes the reports and leaves the post as it is
+const MODERATION_ACTIONS = { hide: 'hidden', remove: 'removed', restore: 'visible', dismiss: null };
+
+export const REPORT_POST_BODY = {
+  reason: { type: 'string', required: true, enum: REPORT_REASONS },
+  details: { type: 'string', trim: true, max: 500 }
+};
+
+export const MODERATE_POST_BODY = {
+  action: { type: 'string', required: true, enum: Object.keys(MODERATION_ACTIONS) }
+};
+
+export const REPORT_QUEUE_QUERY = {
+  limit: limitRule(100, 20),
+  cursor: CURSOR_RULE
+};
+
+// === VISIBILITY ===
+// Hidden posts stay readable by their author and admins; removed ones only by admins
+export function canView(post, viewer) {
+  if (viewer?.isAdmin) return true;
+  const status = post.status || 'visible';
+  if (status === 'visible') return true;
+  return status === 'hidden' && viewer?.userId === post.username;
+}
+
+// Moves a post to a new status. A reply counts towards its parent's comments_count only while it is
+// visible, so the count follows the reply into and out of view.
+export async function setPostStatus(db, post, status) {
+  const from = post.status || 'visible';
+  if (from === status || !await postsRepo.setStatus(db, post._id, status, from)) return;
+  if (post.parent_id && (from === 'visible') !== (status === 'visible')) {
+    await postsRepo.adjustCommentsCount(db, post.parent_id, status === 'visible' ? 1 : -1);
+  }
+}
+
+// Drops posts the viewer may not see, including everything by banned authors (except for admins)
+export async function filterViewable(db, posts, viewer) {
+  if (viewer?.isAdmin) return posts;
+  const banned = new Set(await usersRepo.findBannedUsernames(db, [...new Set(posts.map(post => post.username))]));
+  return posts.filter(post => canView(post, viewer) && !banned.has(post.username));
+}
+
+// === CONTENT FILTER ===
+// MODERATION_FILTER (or the "moderation:filter" key in FEED_CONFIG) is JSON: {"reject": [...], "review": [...]}.
+// Plain entries match whole words case-insensitively; "/pattern/flags" entries are regular expressions.
+// A "reject" match refuses the post; a "review" match publishes it hidden and queues it for a moderator.
+function compileTerm(term) {
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(term);
+  try {
+    if (regex) return new RegExp(regex[1], regex[2]);
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}_])${escaped}(?=$|[^\\p{L}\\p{N}_])`, 'iu');
+  } catch (error) {
+    log('error', 'Ignoring invalid moderation filter entry', { term, error });
+    return null;
+  }
+}
+
+function compileFilter(config) {
+  const compileList = list => (Array.isArray(list) ? list : [])
+    .filter(term => typeof term === 'string' && term.trim() !== '')
+    .map(term => ({ term, regex: compileTerm(term.trim()) }))
+    .filter(entry => entry.regex);
+  return { reject: compileList(config.reject), review: compileList(config.review) };
+}
+
+export async function loadContentFilter(env) {
+  let raw = null;
+  if (env.FEED_CONFIG) {
+    try {
+      raw = await env.FEED_CONFIG.get(MODERATION_FILTER_KV_KEY);
+    } catch (error) {
+      log('error', 'Error loading moderation filter from KV', { error });
+    }
+  }
+  raw = raw || env.MODERATION_FILTER;
+  if (!raw) return null;
+
+  try {
+    return compileFilter(typeof raw === 'string' ? JSON.parse(raw) : raw);
+  } catch (error) {
+    log('error', 'Invalid moderation filter config', { error });
+    return null;
+  }
+}
+
+// { action: 'reject' | 'review', term } for the first match, or null when the text passes
+export function screenText(filter, text) {
+  if (!filter || !text) return null;
+  for (const action of ['reject', 'review']) {
+    const match = filter[action].find(entry => entry.regex.test(text));
+    if (match) return { action, term: match.term };
+  }
+  return null;
+}
+
+// Called after a post the filter flagged for review has been written. The filter has one report per post,
+// so a report a moderator already resolved is reopened. Returns whether the post now has an open filter report.
+export async function queueForReview(db, postId, term) {
+  const report = {
+    postId,
+    reporter: FILTER_REPORTER,
+    reason: 'filter',
+    details: `Matched ${term}`,
+    createdAt: toSqlDateTime(new Date())
+  };
+  if (await postReportsRepo.insertReport(db, report)) return true;
+  if (await postReportsRepo.reopenReport(db, report)) return true;
+  return await postReportsRepo.hasOpenReport(db, postId, FILTER_REPORTER);
+}
+
+// === REPORTS ===
+function autoHideThreshold(env) {
+  return Number(env.MODERATION_AUTO_HIDE_REPORTS) || DEFAULT_AUTO_HIDE_REPORTS;
+}
+
+// POST /posts/:id/report. Reporting twice is accepted but only counted once; enough open reports
+// (MODERATION_AUTO_HIDE_REPORTS, 5) hide the post until a moderator looks at it.
+export async function handleReportPost(db, identity, postId, body, headers, env) {
+  const post = await postsRepo.findById(db, postId);
+  if (!post || !canView(post, identity)) {
+    return errorResponse('not_found', 'Post not found', headers);
+  }
+  if (post.username === identity.userId) {
+    return errorResponse('validation_failed', 'You cannot report your own post', headers);
+  }
+  if (await usersRepo.isBanned(db, identity.userId)) {
+    return errorResponse('forbidden', 'Your account is banned', headers);
+  }
+
+  const created = await postReportsRepo.insertReport(db, {
+    postId,
+    reporter: identity.userId,
+    reason: body.reason,
+    details: body.details,
+    createdAt: toSqlDateTime(new Date())
+  });
+
+  if (created && (post.status || 'visible') === 'visible'
+    && await postReportsRepo.countOpenReports(db, postId) >= autoHideThreshold(env)) {
+    await setPostStatus(db, post, 'hidden');
+  }
+
+  return jsonResponse({ postId, reported: true }, 202, headers);
+}
+
+// === ADMIN ===
+// GET /admin/reports: posts with open reports, longest waiting first
+export async function handleListReportQueue(db, query, headers, env) {
+  const { cursor, limit: pageSize } = query;
+
+  let position = null;
+  if (cursor) {
+    position = await decodeCursor(cursor, env.CURSOR_SECRET);
+    if (!position || position.t !== 'reports') {
+      return errorResponse('invalid_cursor', 'Invalid cursor', headers);
+    }
+  }
+
+  const rows = await postReportsRepo.listQueue(db, {
+    after: position ? { reportedAt: position.at, postId: position.id } : null,
+    limit: pageSize + 1
+  });
+  const hasMore = rows.length > pageSize;
+  const entries = rows.slice(0, pageSize);
+  const postIds = entries.map(entry => entry.post_id);
+
+  const [posts, reasons] = await Promise.all([
+    Promise.all(postIds.map(id => postsRepo.findById(db, id))),
+    postReportsRepo.countOpenReasons(db, postIds)
+  ]);
+  const enriched = await enrichPostsWithUserData(db, posts.filter(Boolean), DEFAULT_PROFILE_PICTURE, mediaBaseUrl(env));
+  const postsById = new Map(enriched.map(post => [post._id, post]));
+
+  const nextCursor = hasMore
+    ? await encodeCursor({ t: 'reports', at: entries[entries.length - 1].first_reported_at, id: postIds[postIds.length - 1] }, env.CURSOR_SECRET)
+    : null;
+
+  return jsonResponse({
+    reports: entries.map(entry => ({
+      postId: entry.post_id,
+      openReports: Number(entry.open_reports),
+      reasons: Object.fromEntries(reasons
+        .filter(row => row.post_id === entry.post_id)
+        .map(row => [row.reason, Number(row.count)])),
+      firstReportedAt: entry.first_reported_at,
+      lastReportedAt: entry.last_reported_at,
+      // null when the post was deleted after being reported
+      post: postsById.get(entry.post_id) || null
+    })),
+    hasMore,
+    nextCursor
+  }, 200, headers);
+}
+
+// GET /admin/posts/:id/reports: every report on the post, open and resolved
+export async function handleGetPostReports(db, postId, headers, env) {
+  const [post, reports] = await Promise.all([
+    postsRepo.findById(db, postId),
+    postReportsRepo.findByPost(db, postId)
+  ]);
+  if (!post && reports.length === 0) {
+    return errorResponse('not_found', 'Post not found', headers);
+  }
+
+  const [enriched] = post ? await enrichPostsWithUserData(db, [post], DEFAULT_PROFILE_PICTURE, mediaBaseUrl(env)) : [null];
+  return jsonResponse({
+    post: enriched,
+    reports: reports.map(report => ({
+      id: Number(report.id),
+      reporter: report.reporter,
+      reason: report.reason,
+      details: report.details,
+      status: report.status,
+      createdAt: report.created_at,
+      resolvedBy: report.resolved_by,
+      resolution: report.resolution,
+      resolvedAt: report.resolved_at
+    }))
+  }, 200, headers);
+}
+
+// POST /admin/posts/:id/moderation
+export async function handleModeratePost(db, identity, postId, body, headers) {
+  const post = await postsRepo.findById(db, postId);
+  if (!post) {
+    return errorResponse('not_found', 'Post not found', headers);
+  }
+
+  const status = MODERATION_ACTIONS[body.action];
+  if (status) {
+    await setPostStatus(db, post, status);
+  }
+  const resolved = await postReportsRepo.resolveOpenReports(db, postId, {
+    resolvedBy: identity.userId,
+    resolution: body.action,
+    resolvedAt: toSqlDateTime(new Date())
+  });
+
+  log('info', 'Moderation action applied', { moderator: identity.userId, action: body.action, postId, resolvedReports: resolved });
+  return jsonResponse({ postId, status: status || post.status || 'visible', resolvedReports: resolved }, 200, headers);
+}
+
+// PUT/DELETE /admin/users/:username/ban. A banned user's posts drop out of every feed and listing,
+// and they can no longer post or report.
+export async function handleBanUser(db, identity, username, active, headers) {
+  if (active && username === identity.userId) {
+    return errorResponse('validation_failed', 'You cannot ban yourself', headers);
+  }
+  if (!await usersRepo.findFeedUser(db, username)) {
+    return errorResponse('not_found', 'User not found', headers);
+  }
+  const bannedAt = active ? toSqlDateTime(new Date()) : null;
+  await usersRepo.setBannedAt(db, username, bannedAt);
+  log('info', active ? 'User banned' : 'User unbanned', { moderator: identity.userId, username });
+  return jsonResponse({ username, banned: active, bannedAt }, 200, headers);
+}
@@ -0,0 +1,264 @@
+// Notifications: records created as side effects of likes, hearts, replies, follows, friend requests
+// and @mentions, a grouped inbox, and live delivery over a WebSocket held by the recipient's
+// NotificationHub Durable Object
+import { errorResponse, jsonResponse, toSqlDateTime } from './http.js';
+import { CURSOR_RULE, limitRule } from './validation.js';
+import { encodeCursor, decodeCursor } from './cursor.js';
+import { DEFAULT_PROFILE_PICTURE } from './enrich.js';
+import { mediaBaseUrl, mediaUrl } from './media.js';
+import * as notificationsRepo from './repositories/notifications.js';
+import * as followsRepo from './repositories/follows.js';
+import * as usersRepo from './repositories/users.js';
+import { log } from './observability.js';
+
+const ACTORS_PER_GROUP = 3;
+const MAX_MENTIONS_PER_POST = 10;
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_@])@([\p{L}\p{N}_.]{1,50})/gu;
+
+// How each type reads, and whether repeated events on the same post collapse into one entry
+const NOTIFICATION_TYPES = {
+  like: { text: 'liked your post', grouped: true },
+  heart: { text: 'hearted your post', grouped: true },
+  reply: { text: 'replied to your post', grouped: true },
+  mention: { text: 'mentioned you in a post', grouped: false },
+  follow: { text: 'followed you', grouped: true },
+  friend_request: { text: 'sent you a friend request', grouped: false },
+  friend_accepted: { text: 'accepted your friend request', grouped: false }
+};
+
+export const NOTIFICATIONS_QUERY = {
+  limit: limitRule(50, 20),
+  cursor: CURSOR_RULE
+};
+
+// Without ids every notification is marked read
+export const MARK_READ_BODY = {
+  ids: { type: 'array', min: 1, max: 100, items: { type: 'string', max: 32 } }
+};
+
+// === CREATING ===
+// Distinct, existing usernames mentioned as @name in the text, in order of appearance
+export async function findMentions(db, text) {
+  if (!text) return [];
+  const names = [...new Set([...text.matchAll(MENTION_PATTERN)].map(match => match[2].replace(/\.+$/, '')))]
+    .filter(Boolean)
+    .slice(0, MAX_MENTIONS_PER_POST);
+  return await usersRepo.findExistingUsernames(db, names);
+}
+
+function randomGroupId() {
+  return [...crypto.getRandomValues(new Uint8Array(12))].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function groupKey(event) {
+  if (!NOTIFICATION_TYPES[event.type].grouped) return `${event.type}:${event.sourcePostId || ''}:${event.actor}`;
+  return `${event.type}:${event.postId || ''}`;
+}
+
+// events: [{ recipient, actor, type, postId, sourcePostId }]. Self-notifications and anything between
+// users who blocked each other are dropped; each recipient's open sockets hear about the newest one.
+async function createNotifications(db, env, events) {
+  const actors = [...new Set(events.map(event => event.actor))];
+  const blockedByActor = new Map();
+  await Promise.all(actors.map(async actor => {
+    blockedByActor.set(actor, new Set(await followsRepo.listBlockedUsernames(db, actor)));
+  }));
+
+  const createdAt = toSqlDateTime(new Date());
+  const notified = new Map();
+  for (const event of events) {
+    if (event.recipient === event.actor || blockedByActor.get(event.actor).has(event.recipient)) continue;
+    const inserted = await notificationsRepo.insertNotification(db, {
+      ...event,
+      groupKey: groupKey(event),
+      newGroupId: randomGroupId(),
+      createdAt
+    });
+    if (inserted) notified.set(event.recipient, { ...event, createdAt });
+  }
+
+  await Promise.all([...notified.entries()].map(async ([recipient, event]) => {
+    await publish(env, recipient, {
+      type: 'notification',
+      notification: {
+        type: event.type,
+        actor: event.actor,
+        postId: event.postId || null,
+        sourcePostId: event.sourcePostId || null,
+        text: `${event.actor} ${NOTIFICATION_TYPES[event.type].text}`,
+        createdAt: event.createdAt
+      },
+      unreadCount: await notificationsRepo.countUnreadGroups(db, recipient)
+    });
+  }));
+}
+
+// Notifications never hold up or fail the action that caused them
+export function notifyInBackground(ctx, db, env, events) {
+  if (events.length === 0) return;
+  ctx.waitUntil(
+    createNotifications(db, env, events).catch(error => {
+      log('error', 'Error creating notifications', { error });
+    })
+  );
+}
+
+// === INBOX ===
+function describeGroup(type, actors, actorCount) {
+  const [first, second] = actors;
+  let who = first;
+  if (actorCount === 2 && second) who = `${first} and ${second}`;
+  else if (actorCount > 2) who = `${first} and ${actorCount - 1} others`;
+  return `${who} ${NOTIFICATION_TYPES[type]?.text || type}`;
+}
+
+// GET /notifications: grouped, newest activity first, with the number of unread groups
+export async function handleListNotifications(db, identity, query, headers, env) {
+  const { cursor, limit: pageSize } = query;
+  const recipient = identity.userId;
+
+  let position = null;
+  if (cursor) {
+    position = await decodeCursor(cursor, env.CURSOR_SECRET);
+    if (!position || position.t !== 'notifications' || position.u !== recipient) {
+      return errorResponse('invalid_cursor', 'Invalid cursor', headers);
+    }
+  }
+
+  const [rows, unreadCount] = await Promise.all([
+    notificationsRepo.listGroups(db, recipient, {
+      before: position ? { latestAt: position.at, groupId: position.id } : null,
+      limit: pageSize + 1
+    }),
+    notificationsRepo.countUnreadGroups(db, recipient)
+  ]);
+  const hasMore = rows.length > pageSize;
+  const groups = rows.slice(0, pageSize);
+
+  const events = await notificationsRepo.findLatestEvents(db, recipient, groups.map(group => group.group_id), ACTORS_PER_GROUP);
+  const actorNames = [...new Set(events.map(event => event.actor))];
+  const pictures = await usersRepo.findProfilePictures(db, actorNames);
+  const mediaBase = mediaBaseUrl(env);
+  const pictureByActor = new Map(await Promise.all(pictures.map(async user => [
+    user.username,
+    await mediaUrl(user.profile_picture, 'avatars', user.username, mediaBase, user.profile_picture_version)
+  ])));
+
+  const nextCursor = hasMore
+    ? await encodeCursor({
+      t: 'notifications',
+      u: recipient,
+      at: groups[groups.length - 1].latest_at,
+      id: groups[groups.length - 1].group_id
+    }, env.CURSOR_SECRET)
+    : null;
+
+  return jsonResponse({
+    notifications: groups.map(group => {
+      const groupEvents = events.filter(event => event.group_id === group.group_id);
+      const actorCount = Number(group.actor_count);
+      return {
+        id: group.group_id,
+        type: group.type,
+        postId: group.post_id,
+        sourcePostId: groupEvents[0]?.source_post_id || null,
+        text: describeGroup(group.type, groupEvents.map(event => event.actor), actorCount),
+        actors: groupEvents.map(event => ({
+          username: event.actor,
+          profilePicture: pictureByActor.get(event.actor) || DEFAULT_PROFILE_PICTURE
+        })),
+        actorCount,
+        read: Number(group.unread_count) === 0,
+        latestAt: group.latest_at
+      };
+    }),
+    unreadCount,
+    hasMore,
+    nextCursor
+  }, 200, headers);
+}
+
+// POST /notifications/read
+export async function handleMarkRead(db, identity, body, headers, env) {
+  await notificationsRepo.markRead(db, identity.userId, body.ids || null, toSqlDateTime(new Date()));
+  const unreadCount = await notificationsRepo.countUnreadGroups(db, identity.userId);
+  // Other open tabs and devices update their badge too
+  await publish(env, identity.userId, { type: 'read', unreadCount });
+  return jsonResponse({ unreadCount }, 200, headers);
+}
+
+// === LIVE UPDATES ===
+function hubFor(env, username) {
+  return env.NOTIFICATION_HUB.get(env.NOTIFICATION_HUB.idFromName(username));
+}
+
+async function publish(env, recipient, message) {
+  if (!env.NOTIFICATION_HUB) return;
+  try {
+    await hubFor(env, recipient).fetch('https://notification-hub/publish', {
+      method: 'POST',
+      body: JSON.stringify(message)
+    });
+  } catch (error) {
+    log('error', 'Error publishing notification', { recipient, error });
+  }
+}
+
+// GET /notifications/stream, upgraded to a WebSocket. Browsers cannot set headers on WebSocket
+// requests, so the token may come as ?access_token= (see authenticate).
+export async function handleNotificationStream(request, env, identity, headers) {
+  if ((request.headers.get('Upgrade') || '').toLowerCase() !== 'websocket') {
+    return errorResponse('upgrade_required', 'Connect with a WebSocket', headers, { extraHeaders: { 'Upgrade': 'websocket' } });
+  }
+  if (!env.NOTIFICATION_HUB) {
+    return errorResponse('service_unavailable', 'Live notifications are not configured', headers);
+  }
+  const upstream = await hubFor(env, identity.userId).fetch('https://notification-hub/connect', {
+    headers: { 'Upgrade': 'websocket' }
+  });
+  if (!upstream.webSocket) {
+    return errorResponse('service_unavailable', 'Live notifications are unavailable', headers);
+  }
+  return new Response(null, { status: 101, webSocket: upstream.webSocket });
+}
+
+// === DURABLE OBJECT ===
+// One instance per user, holding that user's open sockets. Sockets use the hibernation API, so an
+// idle hub is evicted from memory while its connections stay open.
+export class NotificationHub {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    if (url.pathname === '/publish') {
+      const message = await request.text();
+      this.state.getWebSockets().forEach(socket => {
+        try {
+          socket.send(message);
+        } catch (error) {
+          log('error', 'Error sending to notification socket', { error });
+        }
+      });
+      return new Response(null, { status: 204 });
+    }
+
+    const [client, server] = Object.values(new WebSocketPair());
+    this.state.acceptWebSocket(server);
+    return new Response(null, { status: 101, webSocket: client });
+  }
+
+  // Clients may ping to keep intermediaries from closing an idle connection
+  async webSocketMessage(socket, message) {
+    if (message === 'ping') socket.send('pong');
+  }
+
+  async webSocketClose(socket, code) {
+    try {
+      socket.close(code, 'Closing');
+    } catch {
+      // Already closed
+    }
+  }
+}
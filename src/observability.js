@@ -0,0 +1,127 @@
+// Diagnostics: JSON log lines, a per-request trace (stage timings, query timings and counters) and the
+// feed metrics sink. Workers Logs and `wrangler tail` keep each log line's fields searchable.
+const MAX_TRACED_QUERIES = 100;
+const SQL_LABEL_LENGTH = 160;
+
+// === LOGGING ===
+function serializeError(error) {
+  if (!(error instanceof Error)) return error;
+  return { name: error.name, message: error.message, stack: error.stack };
+}
+
+// One JSON object per line; an `error` field is expanded into its name, message and stack
+export function log(level, message, fields = {}) {
+  // An undefined error is left out by JSON.stringify
+  const entry = { level, message, time: new Date().toISOString(), ...fields, error: serializeError(fields.error) };
+  const write = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  write(JSON.stringify(entry));
+}
+
+// === METRICS ===
+// Counters go to the FEED_METRICS Analytics Engine dataset as { blobs: [metric, bucket, reason], doubles: [value] };
+// without the binding (local development) they are dropped
+export function createMetricsSink(env) {
+  const dataset = env.FEED_METRICS;
+  if (!dataset) return { write: () => {} };
+  return {
+    write(metric, labels, value) {
+      try {
+        dataset.writeDataPoint({
+          indexes: [metric],
+          blobs: [metric, labels.bucket || '', labels.reason || ''],
+          doubles: [value]
+        });
+      } catch (error) {
+        log('error', 'Error writing metric', { metric, error });
+      }
+    }
+  };
+}
+
+// === TRACING ===
+function sqlLabel(sql) {
+  const flat = sql.replace(/\s+/g, ' ').trim();
+  return flat.length > SQL_LABEL_LENGTH ? `${flat.slice(0, SQL_LABEL_LENGTH - 1)}…` : flat;
+}
+
+function elapsedSince(started) {
+  return Math.round((performance.now() - started) * 10) / 10;
+}
+
+// One per request. Workers only advance the clock across I/O, so timings measure waiting on the
+// database, KV and subrequests rather than CPU time.
+export function createTrace(requestId, env) {
+  const started = performance.now();
+  const stages = [];
+  const queries = [];
+  const counters = new Map();
+  let queryCount = 0;
+  let queryMs = 0;
+  const sink = createMetricsSink(env);
+
+  return {
+    requestId,
+
+    log(level, message, fields = {}) {
+      log(level, message, { requestId, ...fields });
+    },
+
+    // Times an async stage; stages that run concurrently (the feed buckets) overlap
+    async time(stage, run) {
+      const stageStarted = performance.now();
+      try {
+        return await run();
+      } finally {
+        stages.push({ stage, ms: elapsedSince(stageStarted) });
+      }
+    },
+
+    recordQuery(sql, ms, rows) {
+      queryCount += 1;
+      queryMs += ms;
+      if (queries.length < MAX_TRACED_QUERIES) queries.push({ sql: sqlLabel(sql), ms, rows });
+    },
+
+    // labels: { bucket, reason }; repeated counts with the same labels are summed
+    count(metric, labels = {}, value = 1) {
+      const key = JSON.stringify([metric, labels.bucket || '', labels.reason || '']);
+      const counter = counters.get(key) || { metric, ...labels, value: 0 };
+      counter.value += value;
+      counters.set(key, counter);
+    },
+
+    summary() {
+      return {
+        requestId,
+        totalMs: elapsedSince(started),
+        stages,
+        queries: { count: queryCount, ms: Math.round(queryMs * 10) / 10, slowest: [...queries].sort((a, b) => b.ms - a.ms).slice(0, 10) },
+        counters: [...counters.values()]
+      };
+    },
+
+    // Sends the counters to the metrics sink; called once the response is ready
+    flush() {
+      counters.forEach(({ metric, value, ...labels }) => sink.write(metric, labels, value));
+      counters.clear();
+    }
+  };
+}
+
+// The database with every query timed into the trace
+export function traceDatabase(db, trace) {
+  return {
+    ...db,
+    async execute(sql, params = []) {
+      const started = performance.now();
+      let rows = null;
+      try {
+        const result = await db.execute(sql, params);
+        rows = result.rows.length;
+        return result;
+      } finally {
+        trace.recordQuery(sql, elapsedSince(started), rows);
+      }
+    }
+  };
+}
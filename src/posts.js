@@ -0,0 +1,278 @@
+// Post write API: create, edit, delete, and idempotent like/heart reactions
+import { errorResponse, jsonResponse, toSqlDateTime } from './http.js';
+import { DEFAULT_PROFILE_PICTURE, enrichPostsWithUserData } from './enrich.js';
+import { UPLOAD_ID_RULE, findOwnUpload, imageVersion, mediaBaseUrl, uploadReference } from './media.js';
+import { loadTaxonomy, resolveCategory } from './categories.js';
+import { canView, loadContentFilter, queueForReview, screenText, setPostStatus } from './moderation.js';
+import { findMentions, notifyInBackground } from './notifications.js';
+import * as postsRepo from './repositories/posts.js';
+import * as usersRepo from './repositories/users.js';
+
+const MAX_MESSAGE_LENGTH = 5000;
+const MAX_PHOTO_LENGTH = 2 * 1024 * 1024; // Characters of base64/URL text
+const MAX_TAGS = 10;
+const TAG_PATTERN = /^[\p{L}\p{N}_-]{1,30}$/u;
+const PHOTO_PATTERN = /^(https?:\/\/\S+|data:image\/[a-z+]+;base64,[A-Za-z0-9+/=\s]+|[A-Za-z0-9+/=\s]+)$/;
+const MAX_REACTION_ATTEMPTS = 3;
+
+const EDITABLE_FIELDS = {
+  message: { type: 'string', trim: true, max: MAX_MESSAGE_LENGTH },
+  photo: {
+    type: 'string',
+    min: 1,
+    max: MAX_PHOTO_LENGTH,
+    nullable: true,
+    pattern: PHOTO_PATTERN,
+    patternMessage: 'must be an http(s) URL, a data:image URL or base64 data'
+  },
+  // An image stored with POST /media; replaces `photo`
+  uploadId: UPLOAD_ID_RULE,
+  tags: {
+    type: 'array',
+    max: MAX_TAGS,
+    items: {
+      type: 'string',
+      trim: true,
+      pattern: TAG_PATTERN,
+      patternMessage: 'may only contain letters, numbers, "_" and "-" (max 30 characters)'
+    }
+  },
+  category: { type: 'string', max: 50 }
+};
+
+export const CREATE_POST_BODY = {
+  ...EDITABLE_FIELDS,
+  // A post id, or the stored { postId, username } shape
+  replyTo: {
+    type: 'string',
+    min: 1,
+    max: 64,
+    nullable: true,
+    preprocess: value => (value && typeof value === 'object' ? value.postId : value)
+  }
+};
+
+export const UPDATE_POST_BODY = EDITABLE_FIELDS;
+
+// 24 hex characters like the existing ids: 4 bytes of seconds followed by 8 random bytes
+function generatePostId() {
+  const seconds = Math.floor(Date.now() / 1000).toString(16).padStart(8, '0');
+  const random = [...crypto.getRandomValues(new Uint8Array(8))].map(b => b.toString(16).padStart(2, '0')).join('');
+  return seconds + random;
+}
+
+function parseJsonArray(value) {
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+// Maps validated body fields to columns; returns { fields, errors }
+async function toPostFields(body, db, identity, env) {
+  const fields = {};
+  const errors = [];
+
+  if (body.message !== undefined) fields.message = body.message;
+  if (body.photo !== undefined) fields.photo = body.photo;
+  if (body.uploadId !== undefined) {
+    if (body.photo !== undefined) {
+      errors.push({ field: 'uploadId', message: 'Send either photo or uploadId, not both' });
+    } else if (!await findOwnUpload(env, identity, body.uploadId)) {
+      errors.push({ field: 'uploadId', message: 'uploadId must be an image you uploaded' });
+    } else {
+      fields.photo = uploadReference(body.uploadId);
+    }
+  }
+  if (fields.photo !== undefined) fields.photo_version = await imageVersion(fields.photo);
+  if (body.tags !== undefined) {
+    fields.tags = JSON.stringify([...new Set(body.tags.map(tag => tag.toLowerCase()))]);
+  }
+  if (body.category !== undefined) {
+    const category = resolveCategory(await loadTaxonomy(db), body.category);
+    if (category) fields.categories = category;
+    else errors.push({ field: 'category', message: 'category is not a known category' });
+  }
+
+  return { fields, errors };
+}
+
+function invalidPost(errors, headers) {
+  return errorResponse('validation_failed', 'Invalid post', headers, { details: errors });
+}
+
+// Runs the moderation filter over the text being written; a reject match becomes a validation error
+async function screenPost(env, fields, errors) {
+  const text = [fields.message, ...(fields.tags ? JSON.parse(fields.tags) : [])].filter(Boolean).join('\n');
+  const verdict = screenText(await loadContentFilter(env), text);
+  if (verdict?.action === 'reject') {
+    errors.push({ field: 'message', message: 'The post contains content that is not allowed' });
+  }
+  return verdict;
+}
+
+function bannedResponse(headers) {
+  return errorResponse('forbidden', 'Your account is banned', headers);
+}
+
+export async function handleCreatePost(body, db, identity, headers, env, ctx) {
+  if (await usersRepo.isBanned(db, identity.userId)) return bannedResponse(headers);
+
+  const { fields, errors } = await toPostFields(body, db, identity, env);
+  if (!fields.message && !fields.photo) {
+    errors.push({ field: 'message', message: 'A post needs a message or a photo' });
+  }
+  const verdict = await screenPost(env, fields, errors);
+
+  let replyTo = null;
+  if (body.replyTo) {
+    const parent = await postsRepo.findById(db, body.replyTo);
+    if (!parent || parent.status !== 'visible') {
+      errors.push({ field: 'replyTo', message: 'replyTo must be the id of an existing post' });
+    } else {
+      replyTo = { postId: parent._id, username: parent.username };
+    }
+  }
+
+  if (errors.length > 0) return invalidPost(errors, headers);
+
+  const post = {
+    _id: generatePostId(),
+    username: identity.userId,
+    message: fields.message || '',
+    timestamp: toSqlDateTime(new Date()),
+    photo: fields.photo || null,
+    photoVersion: fields.photo_version || null,
+    tags: fields.tags || '[]',
+    categories: fields.categories || null,
+    replyTo: replyTo ? JSON.stringify(replyTo) : null,
+    parentId: replyTo?.postId || null,
+    status: verdict?.action === 'review' ? 'hidden' : 'visible'
+  };
+  await postsRepo.insertPost(db, post);
+  // Held replies count towards their parent once a moderator lets them through
+  if (post.parentId && post.status === 'visible') {
+    await postsRepo.adjustCommentsCount(db, post.parentId, 1);
+  }
+  if (verdict?.action === 'review') {
+    await queueForReview(db, post._id, verdict.term);
+  } else {
+    notifyInBackground(ctx, db, env, await postNotifications(db, post, replyTo));
+  }
+
+  const [created] = await enrichPostsWithUserData(
+    db, [await postsRepo.findById(db, post._id)], DEFAULT_PROFILE_PICTURE, mediaBaseUrl(env)
+  );
+  return jsonResponse(created, 201, headers);
+}
+
+// The replied-to author hears about the reply; everyone @mentioned hears about the mention
+async function postNotifications(db, post, replyTo) {
+  const events = [];
+  if (replyTo) {
+    events.push({ recipient: replyTo.username, actor: post.username, type: 'reply', postId: replyTo.postId, sourcePostId: post._id });
+  }
+  const mentioned = (await findMentions(db, post.message)).filter(username => username !== replyTo?.username);
+  mentioned.forEach(username => {
+    events.push({ recipient: username, actor: post.username, type: 'mention', postId: post._id, sourcePostId: post._id });
+  });
+  return events;
+}
+
+// Loads the post and checks the caller may change it; returns { post } or { response }
+async function loadOwnPost(db, identity, postId, headers) {
+  const post = await postsRepo.findById(db, postId);
+  if (!post || !canView(post, identity)) {
+    return { response: errorResponse('not_found', 'Post not found', headers) };
+  }
+  if (post.username !== identity.userId && !identity.isAdmin) {
+    return { response: errorResponse('forbidden', 'You can only change your own posts', headers) };
+  }
+  return { post };
+}
+
+export async function handleUpdatePost(body, db, identity, postId, headers, env) {
+  const { post, response } = await loadOwnPost(db, identity, postId, headers);
+  if (response) return response;
+  if (await usersRepo.isBanned(db, identity.userId)) return bannedResponse(headers);
+
+  const { fields, errors } = await toPostFields(body, db, identity, env);
+  if (Object.keys(body).length === 0) {
+    errors.push({ field: 'body', message: 'Nothing to update: send message, photo, uploadId, tags or category' });
+  }
+  const message = fields.message ?? post.message;
+  const photo = fields.photo !== undefined ? fields.photo : post.photo;
+  if (errors.length === 0 && !message && !photo) {
+    errors.push({ field: 'message', message: 'A post needs a message or a photo' });
+  }
+  const verdict = await screenPost(env, fields, errors);
+  if (errors.length > 0) return invalidPost(errors, headers);
+
+  await postsRepo.updatePost(db, postId, fields);
+  // An edit the filter flags goes back to review, unless a moderator already took the post down
+  if (verdict?.action === 'review' && post.status === 'visible' && await queueForReview(db, postId, verdict.term)) {
+    await setPostStatus(db, post, 'hidden');
+  }
+  const [updated] = await enrichPostsWithUserData(
+    db, [await postsRepo.findById(db, postId)], DEFAULT_PROFILE_PICTURE, mediaBaseUrl(env)
+  );
+  return jsonResponse(updated, 200, headers);
+}
+
+// Replies to a deleted post are kept; their thread simply starts at the first surviving post
+export async function handleDeletePost(db, identity, postId, headers) {
+  const { post, response } = await loadOwnPost(db, identity, postId, headers);
+  if (response) return response;
+
+  await postsRepo.deletePost(db, postId);
+  if (post.parent_id && post.status === 'visible') {
+    await postsRepo.adjustCommentsCount(db, post.parent_id, -1);
+  }
+  return new Response(null, { status: 204, headers });
+}
+
+// kind is 'like' or 'heart'; active=true adds the caller's reaction, false removes it.
+// Setting a reaction that is already in place (or removing a missing one) changes nothing.
+// Counters move by one rather than being recomputed, since older rows have counts without a matching list.
+export async function handleReaction(db, identity, postId, kind, active, headers, ctx, env) {
+  for (let attempt = 0; attempt < MAX_REACTION_ATTEMPTS; attempt++) {
+    const post = await postsRepo.findById(db, postId);
+    if (!post || !canView(post, identity)) {
+      return errorResponse('not_found', 'Post not found', headers);
+    }
+
+    const state = {
+      like: { count: Number(post.likes) || 0, list: parseJsonArray(post.likedBy) },
+      heart: { count: Number(post.hearts) || 0, list: parseJsonArray(post.heartedBy) }
+    };
+    const current = state[kind];
+
+    if (current.list.includes(identity.userId) !== active) {
+      current.list = active
+        ? [...current.list, identity.userId]
+        : current.list.filter(username => username !== identity.userId);
+      current.count = Math.max(current.count + (active ? 1 : -1), current.list.length);
+
+      const applied = await postsRepo.updateReaction(db, postId, kind, Number(post.reaction_version) || 0, {
+        count: current.count,
+        list: JSON.stringify(current.list)
+      });
+      if (!applied) continue;
+      if (active && post.status === 'visible') {
+        notifyInBackground(ctx, db, env, [{ recipient: post.username, actor: identity.userId, type: kind, postId }]);
+      }
+    }
+
+    return jsonResponse({
+      _id: postId,
+      liked: state.like.list.includes(identity.userId),
+      hearted: state.heart.list.includes(identity.userId),
+      likes: state.like.count,
+      hearts: state.heart.count
+    }, 200, headers);
+  }
+
+  return errorResponse('conflict', 'Post is being updated concurrently, please retry', headers);
+}
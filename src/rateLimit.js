@@ -0,0 +1,120 @@
+// Token bucket rate limiting. Each caller/policy pair gets its own RateLimiter Durable Object,
+// so buckets are consistent across colos without any shared storage hot spot.
+// Policies: RATE_LIMITS (JSON, e.g. '{"feed":{"capacity":20,"perMinute":20}}') overrides the defaults per name.
+import { log } from './observability.js';
+
+export const DEFAULT_RATE_LIMITS = {
+  read: { capacity: 120, perMinute: 120 },
+  write: { capacity: 30, perMinute: 30 },
+  feed: { capacity: 20, perMinute: 20 }, // One query per feed bucket plus the viewer's history and ranking lookups
+  media: { capacity: 600, perMinute: 600 } // A feed page pulls a photo and an avatar per post
+};
+
+function isValidPolicy(policy) {
+  return policy && Number(policy.capacity) >= 1 && Number(policy.perMinute) > 0;
+}
+
+export function loadRateLimits(env) {
+  if (!env.RATE_LIMITS) return DEFAULT_RATE_LIMITS;
+  try {
+    const configured = typeof env.RATE_LIMITS === 'string' ? JSON.parse(env.RATE_LIMITS) : env.RATE_LIMITS;
+    const limits = { ...DEFAULT_RATE_LIMITS };
+    Object.entries(configured).forEach(([name, policy]) => {
+      if (isValidPolicy(policy)) {
+        limits[name] = { capacity: Math.floor(Number(policy.capacity)), perMinute: Number(policy.perMinute) };
+      } else {
+        log('error', 'Ignoring invalid rate limit policy', { policy: name });
+      }
+    });
+    return limits;
+  } catch (error) {
+    log('error', 'Error parsing RATE_LIMITS', { error });
+    return DEFAULT_RATE_LIMITS;
+  }
+}
+
+// Signed-in callers are limited per user wherever they connect from; everyone else per client IP
+function callerKey(request, identity) {
+  if (identity) return `user:${identity.userId}`;
+  return `ip:${request.headers.get('CF-Connecting-IP') || 'unknown'}`;
+}
+
+// Takes one token from the caller's bucket for `policyName`.
+// Returns null when limiting is off (no RATE_LIMITER binding) or the limiter fails; requests are let through then.
+export async function consumeRateLimit(request, env, identity, policyName) {
+  if (!env.RATE_LIMITER) return null;
+
+  const policy = loadRateLimits(env)[policyName];
+  if (!policy) {
+    log('error', 'Unknown rate limit policy', { policy: policyName });
+    return null;
+  }
+
+  try {
+    const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(`${policyName}:${callerKey(request, identity)}`));
+    const response = await stub.fetch('https://rate-limiter/consume', {
+      method: 'POST',
+      body: JSON.stringify(policy)
+    });
+    return { ...(await response.json()), policy };
+  } catch (error) {
+    log('error', 'Error consuming rate limit', { policy: policyName, error });
+    return null;
+  }
+}
+
+// IETF RateLimit header fields; Reset is the number of seconds until the bucket is full again
+export function rateLimitHeaders(result) {
+  const windowSeconds = Math.ceil((result.policy.capacity / result.policy.perMinute) * 60);
+  const headers = {
+    'RateLimit-Limit': String(result.policy.capacity),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.resetSeconds),
+    'RateLimit-Policy': `${result.policy.capacity};w=${windowSeconds}`
+  };
+  if (!result.allowed) headers['Retry-After'] = String(result.retryAfterSeconds);
+  return headers;
+}
+
+// === DURABLE OBJECT ===
+// One instance per bucket. The state is persisted so an evicted instance resumes where it left off,
+// and wiped by an alarm once the bucket would be full again, so idle callers cost no storage.
+export class RateLimiter {
+  constructor(state) {
+    this.state = state;
+    this.bucket = null;
+    state.blockConcurrencyWhile(async () => {
+      this.bucket = (await state.storage.get('bucket')) || null;
+    });
+  }
+
+  async fetch(request) {
+    const { capacity, perMinute } = await request.json();
+    const refillPerSecond = perMinute / 60;
+    const now = Date.now();
+
+    const last = this.bucket || { tokens: capacity, updatedAt: now };
+    const elapsedSeconds = Math.max(now - last.updatedAt, 0) / 1000;
+    let tokens = Math.min(capacity, last.tokens + elapsedSeconds * refillPerSecond);
+
+    const allowed = tokens >= 1;
+    if (allowed) tokens -= 1;
+
+    this.bucket = { tokens, updatedAt: now };
+    const secondsUntilFull = (capacity - tokens) / refillPerSecond;
+    await this.state.storage.put('bucket', this.bucket);
+    await this.state.storage.setAlarm(now + Math.ceil(secondsUntilFull * 1000) + 1000);
+
+    return new Response(JSON.stringify({
+      allowed,
+      remaining: Math.floor(tokens),
+      resetSeconds: Math.ceil(secondsUntilFull),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((1 - tokens) / refillPerSecond)
+    }), { headers: { 'Content-Type': 'application/json' } });
+  }
+
+  async alarm() {
+    this.bucket = null;
+    await this.state.storage.deleteAll();
+  }
+}
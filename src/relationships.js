@@ -0,0 +1,177 @@
+// Follow, friend and block management plus paginated relationship lists.
+// A friend request also follows the target; declining or cancelling it leaves that plain follow in place.
+import { errorResponse, jsonResponse } from './http.js';
+import { CURSOR_RULE, limitRule } from './validation.js';
+import { encodeCursor, decodeCursor } from './cursor.js';
+import { DEFAULT_PROFILE_PICTURE } from './enrich.js';
+import { mediaBaseUrl, mediaUrl } from './media.js';
+import { notifyInBackground } from './notifications.js';
+import * as followsRepo from './repositories/follows.js';
+import * as usersRepo from './repositories/users.js';
+
+// The relationship as the viewer sees it
+async function describeRelationship(db, viewer, username) {
+  const [outgoing, incoming] = await Promise.all([
+    followsRepo.findStatus(db, viewer, username),
+    followsRepo.findStatus(db, username, viewer)
+  ]);
+  return {
+    username,
+    following: followsRepo.FOLLOWING_STATUSES.includes(outgoing),
+    followedBy: followsRepo.FOLLOWING_STATUSES.includes(incoming),
+    friends: outgoing === 'accepted' || incoming === 'accepted',
+    requestSent: outgoing === 'pending',
+    requestReceived: incoming === 'pending',
+    blocked: outgoing === 'blocked',
+    blockedBy: incoming === 'blocked'
+  };
+}
+
+export const RELATIONSHIP_LIST_QUERY = {
+  limit: limitRule(100, 20),
+  cursor: CURSOR_RULE
+};
+
+// Returns an error response, or null when the viewer may act on target
+async function checkTarget(db, identity, target, headers) {
+  if (target === identity.userId) {
+    return errorResponse('validation_failed', 'You cannot do that to yourself', headers);
+  }
+  if (!await usersRepo.findFeedUser(db, target)) {
+    return errorResponse('not_found', 'User not found', headers);
+  }
+  return null;
+}
+
+async function relationshipResponse(db, viewer, target, headers) {
+  return jsonResponse(await describeRelationship(db, viewer, target), 200, headers);
+}
+
+// PUT follows, DELETE unfollows (and withdraws a pending friend request).
+// Friends already follow each other, whichever of them sent the request, so following a friend changes nothing.
+export async function handleFollow(db, identity, target, active, headers, ctx, env) {
+  const invalid = await checkTarget(db, identity, target, headers);
+  if (invalid) return invalid;
+  const viewer = identity.userId;
+
+  if (active) {
+    const relationship = await describeRelationship(db, viewer, target);
+    if (relationship.blocked || relationship.blockedBy) {
+      return errorResponse('forbidden', 'You cannot follow this user', headers);
+    }
+    if (!relationship.following && !relationship.friends && await followsRepo.insertFollow(db, viewer, target)) {
+      notifyInBackground(ctx, db, env, [{ recipient: target, actor: viewer, type: 'follow' }]);
+    }
+  } else {
+    await followsRepo.deleteRelationship(db, viewer, target, followsRepo.FOLLOWING_STATUSES);
+  }
+  return await relationshipResponse(db, viewer, target, headers);
+}
+
+// PUT sends a friend request (or accepts the target's pending one); DELETE unfriends or cancels the request
+export async function handleFriend(db, identity, target, active, headers, ctx, env) {
+  const invalid = await checkTarget(db, identity, target, headers);
+  if (invalid) return invalid;
+  const viewer = identity.userId;
+  const relationship = await describeRelationship(db, viewer, target);
+
+  if (active) {
+    if (relationship.blocked || relationship.blockedBy) {
+      return errorResponse('forbidden', 'You cannot send this user a friend request', headers);
+    }
+    if (relationship.requestReceived) {
+      await followsRepo.setStatus(db, target, viewer, 'accepted');
+      notifyInBackground(ctx, db, env, [{ recipient: target, actor: viewer, type: 'friend_accepted' }]);
+    } else if (!relationship.friends && !relationship.requestSent) {
+      await followsRepo.setStatus(db, viewer, target, 'pending');
+      notifyInBackground(ctx, db, env, [{ recipient: target, actor: viewer, type: 'friend_request' }]);
+    }
+  } else if (relationship.friends) {
+    await followsRepo.deleteRelationship(db, viewer, target, ['accepted']);
+    await followsRepo.deleteRelationship(db, target, viewer, ['accepted']);
+  } else if (relationship.requestSent) {
+    await followsRepo.setStatus(db, viewer, target, 'none');
+  }
+  return await relationshipResponse(db, viewer, target, headers);
+}
+
+// POST /users/:requester/friend/accept|decline
+export async function handleFriendResponse(db, identity, requester, accept, headers, ctx, env) {
+  const invalid = await checkTarget(db, identity, requester, headers);
+  if (invalid) return invalid;
+  const viewer = identity.userId;
+
+  if (await followsRepo.findStatus(db, requester, viewer) !== 'pending') {
+    return errorResponse('not_found', `No pending friend request from ${requester}`, headers);
+  }
+  await followsRepo.setStatus(db, requester, viewer, accept ? 'accepted' : 'none');
+  if (accept) {
+    notifyInBackground(ctx, db, env, [{ recipient: requester, actor: viewer, type: 'friend_accepted' }]);
+  }
+  return await relationshipResponse(db, viewer, requester, headers);
+}
+
+// Blocking drops every relationship between the two users except a block the target placed
+export async function handleBlock(db, identity, target, active, headers) {
+  const invalid = await checkTarget(db, identity, target, headers);
+  if (invalid) return invalid;
+  const viewer = identity.userId;
+
+  if (active) {
+    await followsRepo.deleteRelationship(db, target, viewer, [...followsRepo.FOLLOWING_STATUSES, 'accepted']);
+    await followsRepo.setStatus(db, viewer, target, 'blocked');
+  } else {
+    await followsRepo.deleteRelationship(db, viewer, target, ['blocked']);
+  }
+  return await relationshipResponse(db, viewer, target, headers);
+}
+
+// GET /users/:username/followers|following|friends|requests; incoming requests are private to their owner
+export async function handleListRelationships(db, identity, username, kind, query, headers, env) {
+  const { cursor, limit: pageSize } = query;
+
+  if (kind === 'requests' && identity?.userId !== username && !identity?.isAdmin) {
+    return errorResponse('forbidden', 'Only the user can see their friend requests', headers);
+  }
+
+  let position = null;
+  if (cursor) {
+    position = await decodeCursor(cursor, env.CURSOR_SECRET);
+    if (!position || position.t !== 'users' || position.k !== kind || position.u !== username) {
+      return errorResponse('invalid_cursor', 'Invalid cursor', headers);
+    }
+  }
+
+  if (!await usersRepo.findFeedUser(db, username)) {
+    return errorResponse('not_found', 'User not found', headers);
+  }
+
+  const rows = await followsRepo.listUsers(db, kind, username, { after: position?.after, limit: pageSize + 1 });
+  const hasMore = rows.length > pageSize;
+  const users = rows.slice(0, pageSize);
+
+  const nextCursor = hasMore
+    ? await encodeCursor({ t: 'users', k: kind, u: username, after: users[users.length - 1].username }, env.CURSOR_SECRET)
+    : null;
+
+  return jsonResponse({
+    username,
+    [kind]: await Promise.all(users.map(async user => ({
+      username: user.username,
+      profilePicture: await mediaUrl(
+        user.profile_picture, 'avatars', user.username, mediaBaseUrl(env), user.profile_picture_version
+      ) || DEFAULT_PROFILE_PICTURE
+    }))),
+    hasMore,
+    nextCursor
+  }, 200, headers);
+}
+
+export async function countMutualFriends(db, a, b) {
+  const [friendsOfA, friendsOfB] = await Promise.all([
+    followsRepo.listFriendUsernames(db, a),
+    followsRepo.listFriendUsernames(db, b)
+  ]);
+  const friendsOfBSet = new Set(friendsOfB);
+  return new Set(friendsOfA.filter(username => friendsOfBSet.has(username))).size;
+}
@@ -0,0 +1,7 @@
+// categories repository
+export async function listActive(db) {
+  const result = await db.execute(
+    'SELECT slug, name, post_value, parent_slug, position FROM categories WHERE active = 1 ORDER BY position, slug'
+  );
+  return result.rows;
+}
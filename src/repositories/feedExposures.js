@@ -0,0 +1,15 @@
+// feed_exposures repository: one row per post served under an experiment
+import { insertBatches } from '../db/index.js';
+
+export async function insertExposures(db, exposures) {
+  for (const batch of insertBatches(db, exposures, 7)) {
+    const values = batch.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ');
+    const params = batch.flatMap(e => [
+      e.userId, e.postId, e.experiment, e.variant, e.bucket, e.position, e.servedAt
+    ]);
+    await db.execute(
+      `INSERT INTO feed_exposures (user_id, post_id, experiment, variant, bucket, position, served_at) VALUES ${values}`,
+      params
+    );
+  }
+}
@@ -0,0 +1,26 @@
+// feed_served repository: the posts served so far in each paged feed session
+import { insertBatches } from '../db/index.js';
+
+export async function listPostIds(db, sessionId) {
+  const result = await db.execute(
+    'SELECT post_id FROM feed_served WHERE session_id = ? ORDER BY served_at DESC',
+    [sessionId]
+  );
+  return result.rows.map(row => row.post_id);
+}
+
+// A retried page can serve the same post again, so existing rows are kept
+export async function insertServed(db, sessionId, postIds) {
+  for (const batch of insertBatches(db, postIds, 2)) {
+    const values = batch.map(() => `(?, ?, ${db.dialect.now()})`).join(', ');
+    await db.execute(
+      `${db.dialect.insertIgnore('feed_served')} (session_id, post_id, served_at) VALUES ${values}`,
+      batch.flatMap(postId => [sessionId, postId])
+    );
+  }
+}
+
+export async function deleteOlderThan(db, hours) {
+  const result = await db.execute(`DELETE FROM feed_served WHERE served_at < ${db.dialect.ago(hours, 'hour')}`);
+  return result.rowsAffected;
+}
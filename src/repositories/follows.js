@@ -0,0 +1,127 @@
+// Follows repository: relationship_status 'accepted' is a (symmetric) friendship, 'none' a plain follow,
+// 'pending' a friend request from follower to following (which also counts as following) and
+// 'blocked' a block by follower of following
+import { placeholders } from '../db/index.js';
+
+export const FOLLOWING_STATUSES = ['none', 'pending'];
+
+export async function listFriendUsernames(db, username) {
+  const result = await db.execute(`
+    SELECT CASE 
+      WHEN follower = ? THEN following 
+      ELSE follower 
+    END as friend_username
+    FROM follows 
+    WHERE (follower = ? OR following = ?) 
+    AND relationship_status = 'accepted'
+  `, [username, username, username]);
+  return result.rows.map(row => row.friend_username);
+}
+
+export async function listFollowingUsernames(db, username) {
+  const result = await db.execute(`
+    SELECT following as following_username
+    FROM follows 
+    WHERE follower = ? AND relationship_status IN (${placeholders(FOLLOWING_STATUSES)})
+  `, [username, ...FOLLOWING_STATUSES]);
+  return result.rows.map(row => row.following_username);
+}
+
+// Blocks apply both ways: people the user blocked and people who blocked the user
+export async function listBlockedUsernames(db, username) {
+  const result = await db.execute(`
+    SELECT CASE WHEN follower = ? THEN following ELSE follower END AS blocked_username
+    FROM follows
+    WHERE (follower = ? OR following = ?) AND relationship_status = 'blocked'
+  `, [username, username, username]);
+  return result.rows.map(row => row.blocked_username);
+}
+
+// === SINGLE RELATIONSHIPS ===
+export async function findStatus(db, follower, following) {
+  const result = await db.execute(
+    'SELECT relationship_status FROM follows WHERE follower = ? AND following = ?',
+    [follower, following]
+  );
+  return result.rows[0]?.relationship_status ?? null;
+}
+
+export async function setStatus(db, follower, following, status) {
+  const current = await findStatus(db, follower, following);
+  if (current === status) return;
+  if (current === null) {
+    await db.execute(
+      'INSERT INTO follows (follower, following, relationship_status) VALUES (?, ?, ?)',
+      [follower, following, status]
+    );
+  } else {
+    await db.execute(
+      'UPDATE follows SET relationship_status = ? WHERE follower = ? AND following = ?',
+      [status, follower, following]
+    );
+  }
+}
+
+// A plain follow; returns false when follower already had a row for following (a concurrent follow included)
+export async function insertFollow(db, follower, following) {
+  const result = await db.execute(
+    `${db.dialect.insertIgnore('follows')} (follower, following, relationship_status) VALUES (?, ?, 'none')`,
+    [follower, following]
+  );
+  return result.rowsAffected > 0;
+}
+
+// statuses limits the delete to rows currently in one of those states
+export async function deleteRelationship(db, follower, following, statuses = null) {
+  let sql = 'DELETE FROM follows WHERE follower = ? AND following = ?';
+  const params = [follower, following];
+  if (statuses) {
+    sql += ` AND relationship_status IN (${placeholders(statuses)})`;
+    params.push(...statuses);
+  }
+  const result = await db.execute(sql, params);
+  return result.rowsAffected > 0;
+}
+
+// === LISTS ===
+// Each kind selects a single `username` column; listUsers pages over it alphabetically
+const LIST_QUERIES = {
+  followers: {
+    sql: `SELECT follower AS username FROM follows WHERE following = ? AND relationship_status IN (${placeholders(FOLLOWING_STATUSES)})`,
+    params: username => [username, ...FOLLOWING_STATUSES]
+  },
+  following: {
+    sql: `SELECT following AS username FROM follows WHERE follower = ? AND relationship_status IN (${placeholders(FOLLOWING_STATUSES)})`,
+    params: username => [username, ...FOLLOWING_STATUSES]
+  },
+  friends: {
+    sql: `SELECT CASE WHEN follower = ? THEN following ELSE follower END AS username
+      FROM follows WHERE (follower = ? OR following = ?) AND relationship_status = 'accepted'`,
+    params: username => [username, username, username]
+  },
+  // Incoming friend requests waiting for the user's answer
+  requests: {
+    sql: "SELECT follower AS username FROM follows WHERE following = ? AND relationship_status = 'pending'",
+    params: username => [username]
+  }
+};
+
+export const RELATIONSHIP_LISTS = Object.keys(LIST_QUERIES);
+
+export async function listUsers(db, kind, username, { after, limit }) {
+  const query = LIST_QUERIES[kind];
+  const params = query.params(username);
+  let sql = `
+    SELECT r.username, u.profile_picture, u.profile_picture_version FROM (${query.sql}) r
+    LEFT JOIN users u ON u.username = r.username
+  `;
+  if (after) {
+    sql += ' WHERE r.username > ?';
+    params.push(after);
+  }
+  sql += ' ORDER BY r.username LIMIT ?';
+  params.push(limit);
+
+  const result = await db.execute(sql, params);
+  return result.rows;
+}
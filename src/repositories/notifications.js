@@ -0,0 +1,80 @@
+// notifications repository: one row per event, grouped for display by group_id
+import { inList } from '../db/index.js';
+
+// Adds the event to the recipient's open (unread) group for its key, or starts a group with newGroupId.
+// Returns false when the same actor is already in that open group, e.g. after an unlike and like again.
+export async function insertNotification(db, notification) {
+  const open = await db.execute(
+    'SELECT group_id, actor FROM notifications WHERE recipient = ? AND group_key = ? AND read_at IS NULL ORDER BY id DESC LIMIT 500',
+    [notification.recipient, notification.groupKey]
+  );
+  if (open.rows.some(row => row.actor === notification.actor)) return false;
+
+  await db.execute(`
+    INSERT INTO notifications (recipient, actor, type, post_id, source_post_id, group_key, group_id, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    notification.recipient, notification.actor, notification.type, notification.postId || null,
+    notification.sourcePostId || null, notification.groupKey, open.rows[0]?.group_id || notification.newGroupId,
+    notification.createdAt
+  ]);
+  return true;
+}
+
+// Groups newest activity first; `before` is a (latestAt, groupId) keyset position
+export async function listGroups(db, recipient, { before, limit }) {
+  const params = [recipient];
+  let sql = `
+    SELECT group_id, type, post_id, COUNT(*) AS actor_count, MAX(created_at) AS latest_at,
+      SUM(CASE WHEN read_at IS NULL THEN 1 ELSE 0 END) AS unread_count
+    FROM notifications
+    WHERE recipient = ?
+    GROUP BY group_id, type, post_id
+  `;
+  if (before) {
+    sql += ' HAVING MAX(created_at) < ? OR (MAX(created_at) = ? AND group_id < ?)';
+    params.push(before.latestAt, before.latestAt, before.groupId);
+  }
+  sql += ' ORDER BY latest_at DESC, group_id DESC LIMIT ?';
+  params.push(limit);
+
+  const result = await db.execute(sql, params);
+  return result.rows;
+}
+
+// The newest `perGroup` events of each group
+export async function findLatestEvents(db, recipient, groupIds, perGroup) {
+  if (groupIds.length === 0) return [];
+  const list = inList(db, groupIds);
+  const result = await db.execute(`
+    SELECT group_id, actor, source_post_id, created_at FROM (
+      SELECT n.*, ROW_NUMBER() OVER (PARTITION BY group_id ORDER BY created_at DESC, id DESC) AS event_rank
+      FROM notifications n
+      WHERE recipient = ? AND group_id IN ${list.sql}
+    ) ranked
+    WHERE event_rank <= ?
+    ORDER BY created_at DESC, id DESC
+  `, [recipient, ...list.params, perGroup]);
+  return result.rows;
+}
+
+export async function countUnreadGroups(db, recipient) {
+  const result = await db.execute(
+    'SELECT COUNT(DISTINCT group_id) AS count FROM notifications WHERE recipient = ? AND read_at IS NULL',
+    [recipient]
+  );
+  return Number(result.rows[0].count);
+}
+
+// groupIds: null marks everything read
+export async function markRead(db, recipient, groupIds, readAt) {
+  const params = [readAt, recipient];
+  let sql = 'UPDATE notifications SET read_at = ? WHERE recipient = ? AND read_at IS NULL';
+  if (groupIds) {
+    if (groupIds.length === 0) return;
+    const list = inList(db, groupIds);
+    sql += ` AND group_id IN ${list.sql}`;
+    params.push(...list.params);
+  }
+  await db.execute(sql, params);
+}
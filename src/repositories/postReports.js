@@ -0,0 +1,87 @@
+// post_reports repository: user reports and filter hits waiting for a moderator
+import { inList } from '../db/index.js';
+
+// Returns false when the reporter already reported the post. The UNIQUE (post_id, reporter) key settles
+// concurrent duplicates, so only one of them is ever counted.
+export async function insertReport(db, { postId, reporter, reason, details, createdAt }) {
+  const result = await db.execute(
+    `${db.dialect.insertIgnore('post_reports')} (post_id, reporter, reason, details, status, created_at) VALUES (?, ?, ?, ?, ?, ?)`,
+    [postId, reporter, reason, details || null, 'open', createdAt]
+  );
+  return result.rowsAffected > 0;
+}
+
+// Puts a reporter's resolved report on the post back in the queue with a new reason; returns false when
+// there is no such report or it is still open
+export async function reopenReport(db, { postId, reporter, reason, details, createdAt }) {
+  const result = await db.execute(`
+    UPDATE post_reports
+    SET status = 'open', reason = ?, details = ?, created_at = ?, resolved_by = NULL, resolution = NULL, resolved_at = NULL
+    WHERE post_id = ? AND reporter = ? AND status <> 'open'
+  `, [reason, details || null, createdAt, postId, reporter]);
+  return result.rowsAffected > 0;
+}
+
+export async function hasOpenReport(db, postId, reporter) {
+  const result = await db.execute(
+    "SELECT id FROM post_reports WHERE post_id = ? AND reporter = ? AND status = 'open'",
+    [postId, reporter]
+  );
+  return result.rows.length > 0;
+}
+
+export async function countOpenReports(db, postId) {
+  const result = await db.execute(
+    "SELECT COUNT(*) AS count FROM post_reports WHERE post_id = ? AND status = 'open'",
+    [postId]
+  );
+  return Number(result.rows[0].count);
+}
+
+// Posts with open reports, oldest first report first; `after` is a (firstReportedAt, postId) keyset position
+export async function listQueue(db, { after, limit }) {
+  const params = [];
+  let sql = `
+    SELECT post_id, COUNT(*) AS open_reports, MIN(created_at) AS first_reported_at, MAX(created_at) AS last_reported_at
+    FROM post_reports
+    WHERE status = 'open'
+    GROUP BY post_id
+  `;
+  if (after) {
+    sql += ' HAVING MIN(created_at) > ? OR (MIN(created_at) = ? AND post_id > ?)';
+    params.push(after.reportedAt, after.reportedAt, after.postId);
+  }
+  sql += ' ORDER BY first_reported_at ASC, post_id ASC LIMIT ?';
+  params.push(limit);
+
+  const result = await db.execute(sql, params);
+  return result.rows;
+}
+
+export async function countOpenReasons(db, postIds) {
+  if (postIds.length === 0) return [];
+  const list = inList(db, postIds);
+  const result = await db.execute(`
+    SELECT post_id, reason, COUNT(*) AS count FROM post_reports
+    WHERE status = 'open' AND post_id IN ${list.sql}
+    GROUP BY post_id, reason
+  `, list.params);
+  return result.rows;
+}
+
+export async function findByPost(db, postId) {
+  const result = await db.execute(
+    'SELECT * FROM post_reports WHERE post_id = ? ORDER BY created_at ASC, id ASC',
+    [postId]
+  );
+  return result.rows;
+}
+
+// Closes every open report on the post; resolution is the moderator's action
+export async function resolveOpenReports(db, postId, { resolvedBy, resolution, resolvedAt }) {
+  const result = await db.execute(`
+    UPDATE post_reports SET status = 'resolved', resolved_by = ?, resolution = ?, resolved_at = ?
+    WHERE post_id = ? AND status = 'open'
+  `, [resolvedBy, resolution, resolvedAt, postId]);
+  return result.rowsAffected;
+}
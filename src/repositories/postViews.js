@@ -0,0 +1,50 @@
+// post_views repository
+import { inList, insertBatches } from '../db/index.js';
+
+// Both lookups go by recorded_at, the server's clock; viewed_at comes from the client
+export async function listRecentPostIds(db, userId, { days, limit }) {
+  const result = await db.execute(`
+    SELECT post_id 
+    FROM post_views 
+    WHERE user_id = ? 
+    AND recorded_at > ${db.dialect.ago(days, 'day')}
+    ORDER BY recorded_at DESC
+    LIMIT ?
+  `, [userId, limit]);
+  return result.rows.map(row => row.post_id);
+}
+
+export async function findViewedSince(db, userId, postIds, minutes) {
+  const list = inList(db, postIds);
+  const result = await db.execute(`
+    SELECT DISTINCT post_id
+    FROM post_views
+    WHERE user_id = ?
+    AND post_id IN ${list.sql}
+    AND recorded_at > ${db.dialect.ago(minutes, 'minute')}
+  `, [userId, ...list.params]);
+  return result.rows.map(row => row.post_id);
+}
+
+// views: [{ postId, viewedAt (DATETIME string), dwellMs }]
+export async function insertViews(db, userId, views) {
+  for (const batch of insertBatches(db, views, 4)) {
+    const values = batch.map(() => `(?, ?, ?, ?, ${db.dialect.now()})`).join(', ');
+    const params = batch.flatMap(v => [userId, v.postId, v.viewedAt, v.dwellMs]);
+    await db.execute(`INSERT INTO post_views (user_id, post_id, viewed_at, dwell_ms, recorded_at) VALUES ${values}`, params);
+  }
+}
+
+// Views and dwell time per post category over the last `days`, for category affinity
+export async function sumCategoryEngagement(db, userId, days) {
+  const result = await db.execute(`
+    SELECT p.categories AS category, COUNT(*) AS views, SUM(COALESCE(v.dwell_ms, 0)) AS dwell_ms
+    FROM post_views v
+    JOIN posts p ON p._id = v.post_id
+    WHERE v.user_id = ?
+    AND v.viewed_at > ${db.dialect.ago(days, 'day')}
+    AND p.categories IS NOT NULL
+    GROUP BY p.categories
+  `, [userId]);
+  return result.rows;
+}
@@ -0,0 +1,385 @@
+// Posts repository
+import { inList } from '../db/index.js';
+import { rankPosts, scoreSql } from '../scoring.js';
+
+const MAX_EXCLUDED_AUTHORS = 500;
+
+// Feeds, listings and threads only ever see visible posts by authors who are not banned
+function visibleSql(alias) {
+  const column = name => (alias ? `${alias}.${name}` : name);
+  return `${column('status')} = 'visible'
+    AND ${column('username')} NOT IN (SELECT banned.username FROM users banned WHERE banned.banned_at IS NOT NULL)`;
+}
+
+// Exclusion lists are capped to keep the statement bounded; callers put the ids that matter most first
+function appendExclusions(db, sql, params, excludeIds, max) {
+  const ids = Array.from(excludeIds || []).slice(0, max);
+  if (ids.length === 0) return sql;
+  const list = inList(db, ids);
+  params.push(...list.params);
+  return `${sql} AND p._id NOT IN ${list.sql}`;
+}
+
+// Authors the viewer blocked or was blocked by
+function appendAuthorExclusions(db, sql, params, authors) {
+  const usernames = Array.from(authors || []).slice(0, MAX_EXCLUDED_AUTHORS);
+  if (usernames.length === 0) return sql;
+  const list = inList(db, usernames);
+  params.push(...list.params);
+  return `${sql} AND p.username NOT IN ${list.sql}`;
+}
+
+export async function findRecent(db, { sinceDays, excludeIds = [], excludeAuthors = [], limit }) {
+  const params = [];
+  let sql = `SELECT p.* FROM posts p WHERE ${visibleSql('p')} AND p.timestamp > ${db.dialect.ago(sinceDays, 'day')}`;
+  sql = appendAuthorExclusions(db, sql, params, excludeAuthors);
+  sql = appendExclusions(db, sql, params, excludeIds, 1000);
+  sql += ' ORDER BY p.timestamp DESC LIMIT ?';
+  params.push(limit);
+
+  const result = await db.execute(sql, params);
+  return result.rows;
+}
+
+export async function findByAuthors(db, { authors, excludeIds, excludeAuthors, limit }) {
+  if (authors.length === 0) return [];
+
+  const list = inList(db, authors);
+  const params = [...list.params];
+  let sql = `SELECT p.* FROM posts p WHERE p.username IN ${list.sql} AND ${visibleSql('p')}`;
+  sql = appendAuthorExclusions(db, sql, params, excludeAuthors);
+  sql = appendExclusions(db, sql, params, excludeIds, 500);
+  sql += ' ORDER BY p.timestamp DESC LIMIT ?';
+  params.push(limit);
+
+  const result = await db.execute(sql, params);
+  return result.rows;
+}
+
+// Visible posts among `ids`, in no particular order; used to load the posts picked from a precomputed pool
+export async function findVisibleByIds(db, ids) {
+  if (ids.length === 0) return [];
+  const list = inList(db, ids);
+  const result = await db.execute(`SELECT p.* FROM posts p WHERE p._id IN ${list.sql} AND ${visibleSql('p')}`, list.params);
+  return result.rows;
+}
+
+// The ids among `ids` that are still visible, in no particular order
+export async function findVisibleIds(db, ids) {
+  if (ids.length === 0) return [];
+  const list = inList(db, ids);
+  const result = await db.execute(`SELECT p._id FROM posts p WHERE p._id IN ${list.sql} AND ${visibleSql('p')}`, list.params);
+  return result.rows.map(row => row._id);
+}
+
+// Newest posts with their author's location, for building the regional pools
+export async function findRecentWithAuthorLocation(db, { sinceDays, limit }) {
+  const result = await db.execute(`
+    SELECT p._id, p.username, p.timestamp, p.likes, p.hearts, p.comments_count, p.views_count, p.categories,
+      u.city AS author_city, u.region AS author_region, u.country AS author_country
+    FROM posts p
+    JOIN users u ON p.username = u.username
+    WHERE ${visibleSql('p')}
+    AND p.timestamp > ${db.dialect.ago(sinceDays, 'day')}
+    ORDER BY p.timestamp DESC
+    LIMIT ?
+  `, [limit]);
+  return result.rows;
+}
+
+// Each level skips authors from the narrower level below it, so a post is only ever tagged with
+// the most specific level it belongs to
+const LOCATION_LEVELS = {
+  city: { column: 'u.city' },
+  region: { column: 'u.region', narrower: 'u.city' },
+  country: { column: 'u.country', narrower: 'u.region' }
+};
+
+// location: { city, region, country } of the viewer
+export async function findByAuthorLocation(db, { level, location, excludeUsername, sinceDays, excludeIds, excludeAuthors, limit }) {
+  const { column, narrower } = LOCATION_LEVELS[level];
+  const params = [location[level], excludeUsername];
+  let sql = `
+    SELECT p.* FROM posts p
+    JOIN users u ON p.username = u.username
+    WHERE ${column} = ? AND p.username != ?
+    AND ${visibleSql('p')}
+    AND p.timestamp > ${db.dialect.ago(sinceDays, 'day')}
+  `;
+  if (narrower) {
+    const narrowerLevel = narrower.slice(2);
+    if (location[narrowerLevel]) {
+      sql += ` AND (${narrower} IS NULL OR ${narrower} != ?)`;
+      params.push(location[narrowerLevel]);
+    }
+  }
+  sql = appendAuthorExclusions(db, sql, params, excludeAuthors);
+  sql = appendExclusions(db, sql, params, excludeIds, 500);
+  sql += ' ORDER BY p.timestamp DESC LIMIT ?';
+  params.push(limit);
+
+  const result = await db.execute(sql, params);
+  return result.rows;
+}
+
+// Bounding-box prefilter on the author's coordinates; callers apply the exact distance check
+export async function findByAuthorArea(db, { box, excludeUsername, sinceDays, excludeIds, excludeAuthors, limit }) {
+  const params = [box.minLat, box.maxLat, box.minLon, box.maxLon, excludeUsername];
+  let sql = `
+    SELECT p.*, u.latitude AS author_latitude, u.longitude AS author_longitude FROM posts p
+    JOIN users u ON p.username = u.username
+    WHERE u.latitude BETWEEN ? AND ? AND u.longitude BETWEEN ? AND ?
+    AND p.username != ?
+    AND ${visibleSql('p')}
+    AND p.timestamp > ${db.dialect.ago(sinceDays, 'day')}
+  `;
+  sql = appendAuthorExclusions(db, sql, params, excludeAuthors);
+  sql = appendExclusions(db, sql, params, excludeIds, 500);
+  sql += ' ORDER BY p.timestamp DESC LIMIT ?';
+  params.push(limit);
+
+  const result = await db.execute(sql, params);
+  return result.rows;
+}
+
+// === LISTINGS ===
+// '!' is the LIKE escape character because backslash means different things in MySQL and SQLite literals
+function escapeLike(value) {
+  return String(value).replace(/[!%_]/g, '!$&');
+}
+
+function buildListConditions(db, filters) {
+  const conditions = [visibleSql()];
+  const params = [];
+
+  if (filters.usernameLike) {
+    conditions.push('username LIKE ?');
+    params.push(`%${filters.usernameLike}%`);
+  }
+
+  if (filters.startTimestamp && filters.endTimestamp) {
+    conditions.push('timestamp BETWEEN ? AND ?');
+    params.push(filters.startTimestamp, filters.endTimestamp);
+  }
+
+  if (filters.author) {
+    conditions.push('username = ?');
+    params.push(filters.author);
+  }
+
+  // tags is a JSON array of strings, so match the quoted element
+  if (filters.tag) {
+    conditions.push("tags LIKE ? ESCAPE '!'");
+    params.push(`%"${escapeLike(filters.tag)}"%`);
+  }
+
+  // Stored category values; a filter on a parent category arrives with its subcategories expanded
+  if (filters.categories?.length) {
+    const list = inList(db, filters.categories);
+    conditions.push(`categories IN ${list.sql}`);
+    params.push(...list.params);
+  }
+
+  if (filters.sinceDays) {
+    conditions.push(`timestamp > ${db.dialect.ago(filters.sinceDays, 'day')}`);
+  }
+
+  if (filters.excludeAuthors?.length) {
+    const list = inList(db, filters.excludeAuthors.slice(0, MAX_EXCLUDED_AUTHORS));
+    conditions.push(`username NOT IN ${list.sql}`);
+    params.push(...list.params);
+  }
+
+  // Keyset position for cursor pagination over (timestamp, _id)
+  if (filters.before) {
+    conditions.push('(timestamp < ? OR (timestamp = ? AND _id < ?))');
+    params.push(filters.before.timestamp, filters.before.timestamp, filters.before.id);
+  }
+
+  return { conditions, params };
+}
+
+const TRENDING_JS_POOL_SIZE = 1000;
+
+// How far the trending order reaches: the whole result set in SQL, or only the JS-ranked slice without POWER()
+export function trendingDepth(db) {
+  return db.dialect.supportsPower ? Infinity : TRENDING_JS_POOL_SIZE;
+}
+
+// order is 'newest' or 'trending'; trending needs the ranking weights
+export async function listPosts(db, filters, { order, weights = null, limit, offset = 0 }) {
+  const { conditions, params } = buildListConditions(db, filters);
+  let sql = 'SELECT * FROM posts';
+  if (conditions.length > 0) {
+    sql += ' WHERE ' + conditions.join(' AND ');
+  }
+
+  // Without POWER() in SQL, rank the newest slice of the window in JS instead
+  if (order === 'trending' && !db.dialect.supportsPower) {
+    sql += ' ORDER BY timestamp DESC, _id DESC LIMIT ?';
+    params.push(TRENDING_JS_POOL_SIZE);
+    const result = await db.execute(sql, params);
+    return rankPosts(result.rows, weights).slice(offset, offset + limit);
+  }
+
+  const orderBy = order === 'trending'
+    ? `${scoreSql(weights, db.dialect)} DESC, timestamp DESC, _id DESC`
+    : 'timestamp DESC, _id DESC';
+  sql += ` ORDER BY ${orderBy} LIMIT ? OFFSET ?`;
+  params.push(limit, offset);
+
+  const result = await db.execute(sql, params);
+  return result.rows;
+}
+
+// === SEARCH ===
+// Every pattern must appear in the message or the tags; callers rank the candidates themselves
+export async function findSearchCandidates(db, filters, { patterns, limit }) {
+  const { conditions, params } = buildListConditions(db, filters);
+  patterns.forEach(pattern => {
+    const like = `%${escapeLike(pattern.toLowerCase())}%`;
+    conditions.push("(LOWER(message) LIKE ? ESCAPE '!' OR LOWER(tags) LIKE ? ESCAPE '!')");
+    params.push(like, like);
+  });
+
+  let sql = 'SELECT * FROM posts';
+  if (conditions.length > 0) {
+    sql += ' WHERE ' + conditions.join(' AND ');
+  }
+  sql += ' ORDER BY timestamp DESC, _id DESC LIMIT ?';
+  params.push(limit);
+
+  const result = await db.execute(sql, params);
+  return result.rows;
+}
+
+// MySQL only: needs FULLTEXT (message, tags). Relevance is halved over each half-life of post age.
+export async function searchFullText(db, filters, booleanQuery, { limit, offset, halfLifeHours }) {
+  const { conditions, params } = buildListConditions(db, filters);
+  conditions.push('MATCH(message, tags) AGAINST(? IN BOOLEAN MODE)');
+
+  const recency = `(0.5 + 0.5 * POWER(2, -${db.dialect.ageSeconds('timestamp')} / 3600 / ${Number(halfLifeHours)}))`;
+  const sql = `
+    SELECT *, MATCH(message, tags) AGAINST(? IN BOOLEAN MODE) * ${recency} AS search_score
+    FROM posts
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY search_score DESC, timestamp DESC, _id DESC
+    LIMIT ? OFFSET ?
+  `;
+
+  const result = await db.execute(sql, [booleanQuery, ...params, booleanQuery, limit, offset]);
+  return result.rows;
+}
+
+export async function countPosts(db, filters) {
+  const { conditions, params } = buildListConditions(db, filters);
+  let sql = 'SELECT COUNT(*) AS count FROM posts';
+  if (conditions.length > 0) {
+    sql += ' WHERE ' + conditions.join(' AND ');
+  }
+
+  const result = await db.execute(sql, params);
+  return Number(result.rows[0].count);
+}
+
+export async function incrementViews(db, postIds) {
+  if (postIds.length === 0) return;
+  const list = inList(db, postIds);
+  await db.execute(`UPDATE posts SET views_count = COALESCE(views_count, 0) + 1 WHERE _id IN ${list.sql}`, list.params);
+}
+
+// === WRITES ===
+export async function findById(db, id) {
+  const result = await db.execute('SELECT * FROM posts WHERE _id = ?', [id]);
+  return result.rows[0] || null;
+}
+
+export async function insertPost(db, post) {
+  await db.execute(`
+    INSERT INTO posts (_id, username, message, timestamp, photo, photo_version, tags, categories, replyTo, parent_id, status,
+      likes, hearts, likedBy, heartedBy, comments_count, views_count, reaction_version)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, 0, '[]', '[]', 0, 0, 0)
+  `, [
+    post._id, post.username, post.message, post.timestamp, post.photo, post.photoVersion || null, post.tags, post.categories,
+    post.replyTo, post.parentId || null, post.status || 'visible'
+  ]);
+}
+
+// fields: any of message, photo, photo_version, tags, categories
+export async function updatePost(db, id, fields) {
+  const columns = Object.keys(fields)
+    .filter(column => ['message', 'photo', 'photo_version', 'tags', 'categories'].includes(column));
+  if (columns.length === 0) return;
+  await db.execute(
+    `UPDATE posts SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE _id = ?`,
+    [...columns.map(column => fields[column]), id]
+  );
+}
+
+export async function deletePost(db, id) {
+  await db.execute('DELETE FROM posts WHERE _id = ?', [id]);
+}
+
+// status: 'visible', 'hidden' (kept out of feeds until reviewed) or 'removed'.
+// Only moves a post still in the status `from`; returns false when another change landed first.
+export async function setStatus(db, id, status, from) {
+  const result = await db.execute('UPDATE posts SET status = ? WHERE _id = ? AND status = ?', [status, id, from]);
+  return result.rowsAffected === 1;
+}
+
+const REACTION_COLUMNS = {
+  like: { count: 'likes', list: 'likedBy' },
+  heart: { count: 'hearts', list: 'heartedBy' }
+};
+
+// Compare-and-swap on reaction_version; returns false when another reaction landed first
+export async function updateReaction(db, id, kind, expectedVersion, { count, list }) {
+  const columns = REACTION_COLUMNS[kind];
+  const result = await db.execute(`
+    UPDATE posts
+    SET ${columns.count} = ?, ${columns.list} = ?, reaction_version = reaction_version + 1
+    WHERE _id = ? AND reaction_version = ?
+  `, [count, list, id, expectedVersion]);
+  return result.rowsAffected === 1;
+}
+
+// === THREADS ===
+
+// The post followed by its parent, grandparent, ... up to maxDepth levels, nearest first
+export async function findWithAncestors(db, id, maxDepth) {
+  const result = await db.execute(`
+    WITH RECURSIVE thread AS (
+      SELECT p.*, 0 AS thread_depth FROM posts p WHERE p._id = ?
+      UNION ALL
+      SELECT p.*, t.thread_depth + 1 FROM posts p
+      JOIN thread t ON p._id = t.parent_id
+      WHERE t.thread_depth < ?
+    )
+    SELECT * FROM thread ORDER BY thread_depth
+  `, [id, maxDepth]);
+  return result.rows;
+}
+
+// Direct replies to any of parentIds in conversation order; `after` is a (timestamp, id) keyset position
+export async function findReplies(db, parentIds, { after = null, excludeAuthors = [], limit }) {
+  if (parentIds.length === 0) return [];
+  const list = inList(db, parentIds);
+  let sql = `SELECT p.* FROM posts p WHERE p.parent_id IN ${list.sql} AND ${visibleSql('p')}`;
+  const params = [...list.params];
+  sql = appendAuthorExclusions(db, sql, params, excludeAuthors);
+  if (after) {
+    sql += ' AND (p.timestamp > ? OR (p.timestamp = ? AND p._id > ?))';
+    params.push(after.timestamp, after.timestamp, after.id);
+  }
+  sql += ' ORDER BY p.timestamp ASC, p._id ASC LIMIT ?';
+  params.push(limit);
+  const result = await db.execute(sql, params);
+  return result.rows;
+}
+
+export async function adjustCommentsCount(db, id, delta) {
+  await db.execute(
+    'UPDATE posts SET comments_count = CASE WHEN comments_count + ? < 0 THEN 0 ELSE comments_count + ? END WHERE _id = ?',
+    [delta, delta, id]
+  );
+}
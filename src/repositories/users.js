@@ -0,0 +1,61 @@
+// Users repository
+import { inList } from '../db/index.js';
+
+export async function findFeedUser(db, username) {
+  const result = await db.execute(
+    'SELECT username, city, region, country, latitude, longitude FROM users WHERE username = ?',
+    [username]
+  );
+  return result.rows[0] || null;
+}
+
+export async function findProfile(db, username) {
+  const result = await db.execute(
+    'SELECT username, profile_picture, profile_picture_version, Music, description, created_at FROM users WHERE username = ?',
+    [username]
+  );
+  return result.rows[0] || null;
+}
+
+export async function findProfilePictures(db, usernames) {
+  if (usernames.length === 0) return [];
+  const list = inList(db, usernames);
+  const result = await db.execute(
+    `SELECT username, profile_picture, profile_picture_version FROM users WHERE username IN ${list.sql}`,
+    list.params
+  );
+  return result.rows;
+}
+
+// The subset of usernames that belong to existing users
+export async function findExistingUsernames(db, usernames) {
+  if (usernames.length === 0) return [];
+  const list = inList(db, usernames);
+  const result = await db.execute(`SELECT username FROM users WHERE username IN ${list.sql}`, list.params);
+  return result.rows.map(row => row.username);
+}
+
+// === MODERATION ===
+export async function findBannedUsernames(db, usernames) {
+  if (usernames.length === 0) return [];
+  const list = inList(db, usernames);
+  const result = await db.execute(
+    `SELECT username FROM users WHERE banned_at IS NOT NULL AND username IN ${list.sql}`,
+    list.params
+  );
+  return result.rows.map(row => row.username);
+}
+
+export async function isBanned(db, username) {
+  return (await findBannedUsernames(db, [username])).length > 0;
+}
+
+// The location the user's own app last reported, matched by the nearby feed of other users
+export async function setCoordinates(db, username, { latitude, longitude }) {
+  await db.execute('UPDATE users SET latitude = ?, longitude = ? WHERE username = ?', [latitude, longitude, username]);
+}
+
+// bannedAt: SQL DATETIME, or null to lift the ban
+export async function setBannedAt(db, username, bannedAt) {
+  await db.execute('UPDATE users SET banned_at = ? WHERE username = ?', [bannedAt, username]);
+}
@@ -0,0 +1,69 @@
+// Minimal path router: '/v1/posts/:id' style patterns, per-route methods, 404/405 detection
+function compilePattern(pattern) {
+  const names = [];
+  const source = pattern
+    .split('/')
+    .map(segment => {
+      if (segment.startsWith(':')) {
+        names.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return { regex: new RegExp(`^${source}/?$`), names };
+}
+
+/**
+ * @typedef {object} Route
+ * @property {string} method
+ * @property {string} path Pattern such as '/posts/:id'
+ * @property {(context: any) => Promise<Response>} handler
+ * @property {boolean} [auth] Requires a bearer token
+ * @property {boolean} [admin] Requires an admin token
+ * @property {boolean} [legacy] Also served without the /v1 prefix
+ * @property {object} [query] Query schema (src/validation.js)
+ * @property {object} [body] JSON body schema
+ * @property {string | ((request: { url: URL, identity: object | null }) => string)} [rateLimit] Policy name
+ */
+
+// routes: [{ method, path, ...options }]. Paths sharing a pattern are grouped so a method miss can list what is allowed.
+export function createRouter(routes) {
+  const byPath = new Map();
+  routes.forEach(route => {
+    if (!byPath.has(route.path)) {
+      byPath.set(route.path, { ...compilePattern(route.path), methods: {} });
+    }
+    byPath.get(route.path).methods[route.method] = route;
+  });
+  const entries = [...byPath.values()];
+
+  // { route, params } on a match, { allowed } when only the method is wrong, null when no path matches.
+  // Parameters that are not valid percent-encoding make the path not match.
+  function match(method, pathname) {
+    for (const entry of entries) {
+      const found = pathname.match(entry.regex);
+      if (!found) continue;
+
+      let params;
+      try {
+        params = Object.fromEntries(entry.names.map((name, i) => [name, decodeURIComponent(found[i + 1])]));
+      } catch {
+        return null;
+      }
+
+      const route = entry.methods[method] || (method === 'HEAD' ? entry.methods.GET : undefined);
+      if (!route) return { allowed: allowedMethods(entry.methods) };
+      return { route, params };
+    }
+    return null;
+  }
+
+  return { match };
+}
+
+function allowedMethods(routesByMethod) {
+  const methods = Object.keys(routesByMethod);
+  if (methods.includes('GET')) methods.push('HEAD');
+  return [...methods, 'OPTIONS'];
+}
@@ -0,0 +1,97 @@
+// Shared engagement score with Hacker News style time decay:
+//   score = (likes·wL + hearts·wH + comments·wC + views·wV) / (ageHours + 2) ^ gravity
+// The personalized feed also passes the viewer's category affinity (stored category -> 0..1), which
+// multiplies the score by 1 + affinity·wA.
+import { log } from './observability.js';
+
+const RANKING_WEIGHTS_KV_KEY = 'feed:ranking';
+
+export const DEFAULT_RANKING_WEIGHTS = {
+  likes: 1,
+  hearts: 1.5,
+  comments: 2,
+  views: 0.05,
+  gravity: 1.8,
+  affinity: 1
+};
+
+export async function loadRankingWeights(env) {
+  let raw = null;
+  if (env.FEED_CONFIG) {
+    try {
+      raw = await env.FEED_CONFIG.get(RANKING_WEIGHTS_KV_KEY);
+    } catch (error) {
+      log('error', 'Error loading ranking weights from KV', { error });
+    }
+  }
+  raw = raw || env.RANKING_WEIGHTS;
+  if (!raw) return { ...DEFAULT_RANKING_WEIGHTS };
+
+  try {
+    const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    const weights = { ...DEFAULT_RANKING_WEIGHTS };
+    Object.keys(DEFAULT_RANKING_WEIGHTS).forEach(key => {
+      if (parsed[key] === undefined) return;
+      const value = Number(parsed[key]);
+      if (!Number.isFinite(value) || value < 0) throw new Error(`Invalid ranking weight ${key}`);
+      weights[key] = value;
+    });
+    return weights;
+  } catch (error) {
+    log('error', 'Invalid ranking weights config', { error });
+    return { ...DEFAULT_RANKING_WEIGHTS };
+  }
+}
+
+export function engagementPoints(post, weights) {
+  return (Number(post.likes) || 0) * weights.likes
+    + (Number(post.hearts) || 0) * weights.hearts
+    + (Number(post.comments_count) || 0) * weights.comments
+    + (Number(post.views_count) || 0) * weights.views;
+}
+
+function ageDecay(post, weights, now) {
+  const postedAt = new Date(post.timestamp).getTime();
+  const ageHours = Number.isNaN(postedAt) ? 0 : Math.max(now - postedAt, 0) / 3600000;
+  return Math.pow(ageHours + 2, weights.gravity);
+}
+
+function affinityBoost(post, weights, affinity) {
+  if (!affinity || !post.categories) return 1;
+  return 1 + (weights.affinity ?? DEFAULT_RANKING_WEIGHTS.affinity) * (affinity[post.categories] || 0);
+}
+
+export function scorePost(post, weights, { now = Date.now(), affinity = null } = {}) {
+  return (engagementPoints(post, weights) / ageDecay(post, weights, now)) * affinityBoost(post, weights, affinity);
+}
+
+export function rankPosts(posts, weights, { now = Date.now(), affinity = null } = {}) {
+  return posts
+    .map(post => ({ post, score: scorePost(post, weights, { now, affinity }) }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ post }) => post);
+}
+
+// Weighted sample without replacement (Efraimidis–Spirakis): key = ln(U) / w, highest keys win.
+// Log space avoids U^(1/w) underflowing to 0 for old posts with tiny weights.
+// The extra point keeps brand-new posts with no engagement in the running.
+export function sampleByScore(posts, count, weights, { now = Date.now(), affinity = null } = {}) {
+  return posts
+    .map(post => {
+      const weight = ((engagementPoints(post, weights) + 1) / ageDecay(post, weights, now)) * affinityBoost(post, weights, affinity);
+      return { post, key: Math.log(Math.random()) / weight };
+    })
+    .sort((a, b) => b.key - a.key)
+    .slice(0, count)
+    .map(({ post }) => post);
+}
+
+// Same formula as scorePost, as a SQL expression for sorting a whole result set
+export function scoreSql(weights, dialect, alias = '') {
+  const column = name => `COALESCE(${alias ? `${alias}.` : ''}${name}, 0)`;
+  const timestamp = `${alias ? `${alias}.` : ''}timestamp`;
+  const n = value => Number(value).toString();
+  return `((${column('likes')} * ${n(weights.likes)} + ${column('hearts')} * ${n(weights.hearts)}`
+    + ` + ${column('comments_count')} * ${n(weights.comments)} + ${column('views_count')} * ${n(weights.views)})`
+    + ` / POWER(${dialect.ageSeconds(timestamp)} / 3600.0 + 2, ${n(weights.gravity)}))`;
+}
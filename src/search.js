@@ -0,0 +1,112 @@
+// Post search over message and tags: MySQL FULLTEXT when enabled, tokenized LIKE matching otherwise.
+// Query syntax: plain words, "quoted phrases" and prefix* terms; every term must match.
+import * as postsRepo from './repositories/posts.js';
+import { log } from './observability.js';
+
+const MAX_TERMS = 8;
+const MIN_TERM_LENGTH = 2;
+const FALLBACK_POOL_SIZE = 500;
+export const RECENCY_HALF_LIFE_HOURS = 72;
+
+export function parseSearchQuery(q) {
+  const phrases = [];
+  const terms = [];
+  const text = String(q || '').toLowerCase().slice(0, 200);
+
+  const withoutPhrases = text.replace(/"([^"]*)"/g, (_, phrase) => {
+    const words = tokenize(phrase);
+    if (words.length > 1) phrases.push(words.join(' '));
+    else if (words.length === 1) terms.push({ text: words[0], prefix: false });
+    return ' ';
+  });
+
+  withoutPhrases.split(/\s+/).forEach(raw => {
+    const prefix = raw.endsWith('*');
+    const [word] = tokenize(raw);
+    if (word && word.length >= MIN_TERM_LENGTH) terms.push({ text: word, prefix });
+  });
+
+  return { phrases: phrases.slice(0, MAX_TERMS), terms: terms.slice(0, MAX_TERMS) };
+}
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+// BOOLEAN MODE: +word, +prefix*, +"a phrase"
+function toBooleanQuery({ phrases, terms }) {
+  return [
+    ...phrases.map(phrase => `+"${phrase}"`),
+    ...terms.map(term => `+${term.text}${term.prefix ? '*' : ''}`)
+  ].join(' ');
+}
+
+function recencyBoost(post, now) {
+  const postedAt = new Date(post.timestamp).getTime();
+  const ageHours = Number.isNaN(postedAt) ? 0 : Math.max(now - postedAt, 0) / 3600000;
+  return 0.5 + 0.5 * Math.pow(2, -ageHours / RECENCY_HALF_LIFE_HOURS);
+}
+
+function tagsText(post) {
+  try {
+    const tags = typeof post.tags === 'string' ? JSON.parse(post.tags) : post.tags;
+    return Array.isArray(tags) ? tags.join(' ') : '';
+  } catch {
+    return '';
+  }
+}
+
+// Whole-word hits count fully, prefix hits a little less; tags weigh more than body text
+function relevance(post, { phrases, terms }) {
+  const messageTokens = tokenize(post.message);
+  const tagTokens = tokenize(tagsText(post));
+  const message = messageTokens.join(' ');
+
+  let score = 0;
+  for (const term of terms) {
+    const matches = token => token === term.text || (term.prefix && token.startsWith(term.text));
+    const messageHits = messageTokens.filter(matches).length;
+    const tagHits = tagTokens.filter(matches).length;
+    // The LIKE prefilter also matches inside words; those rows rank last but are not dropped
+    score += messageHits > 0 || tagHits > 0 ? Math.log1p(messageHits) + 2 * Math.min(tagHits, 1) : 0.1;
+  }
+  phrases.forEach(phrase => {
+    score += message.includes(phrase) ? 3 : 0.1;
+  });
+  return score;
+}
+
+async function searchWithFallback(db, filters, parsed, { limit, offset }) {
+  const candidates = await postsRepo.findSearchCandidates(db, filters, {
+    patterns: [...parsed.phrases, ...parsed.terms.map(term => term.text)],
+    limit: FALLBACK_POOL_SIZE
+  });
+
+  const now = Date.now();
+  return candidates
+    .map(post => ({ post, score: relevance(post, parsed) * recencyBoost(post, now) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(offset, offset + limit)
+    .map(({ post }) => post);
+}
+
+// Returns null when the query has nothing searchable in it
+export async function searchPosts(db, env, q, filters, { limit, offset }) {
+  const parsed = parseSearchQuery(q);
+  if (parsed.phrases.length === 0 && parsed.terms.length === 0) return null;
+
+  if (env.SEARCH_FULLTEXT === 'true' && db.dialect.name === 'mysql') {
+    try {
+      return await postsRepo.searchFullText(db, filters, toBooleanQuery(parsed), {
+        limit,
+        offset,
+        halfLifeHours: RECENCY_HALF_LIFE_HOURS
+      });
+    } catch (error) {
+      // Typically ER_FT_MATCHING_KEY_NOT_FOUND when the FULLTEXT index is missing
+      log('error', 'FULLTEXT search failed, using tokenized fallback', { error });
+    }
+  }
+
+  return await searchWithFallback(db, filters, parsed, { limit, offset });
+}
@@ -0,0 +1,202 @@
+// Feed-reader exports of public posts: RSS 2.0, Atom 1.0 and JSON Feed 1.1 for a user's timeline,
+// a category or a tag. Only the rendering lives here; the routes pick the posts with the listing filters.
+import { limitRule } from './validation.js';
+import { describeMedia } from './media.js';
+
+export const FEED_FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+export const SYNDICATION_QUERY = {
+  limit: limitRule(50, 20)
+};
+
+const TITLE_LENGTH = 80;
+
+// === ITEMS ===
+function parseTags(value) {
+  try {
+    const tags = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(tags) ? tags.filter(tag => typeof tag === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+// Stored timestamps are UTC DATETIME strings
+function parseTimestamp(value) {
+  const date = new Date(typeof value === 'string' && !/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+  return Number.isNaN(date.getTime()) ? new Date(0) : date;
+}
+
+function titleFor(message) {
+  const firstLine = (message || '').split('\n')[0].trim();
+  if (!firstLine) return 'Photo';
+  return firstLine.length > TITLE_LENGTH ? `${firstLine.slice(0, TITLE_LENGTH - 1)}…` : firstLine;
+}
+
+// FEED_POST_URL (e.g. "https://example.com/posts/{id}") points items at the web app; otherwise at the API
+function postUrl(env, origin, postId) {
+  const id = encodeURIComponent(postId);
+  return env.FEED_POST_URL ? env.FEED_POST_URL.replace('{id}', id) : `${origin}/v1/posts/${id}`;
+}
+
+// posts are raw rows, newest first; origin makes root-relative media URLs absolute
+export async function buildFeedItems(posts, env, origin) {
+  return await Promise.all(posts.map(async post => {
+    const image = await describeMedia(post.photo, 'posts', post._id, env, post.photo_version);
+    return {
+      id: postUrl(env, origin, post._id),
+      url: postUrl(env, origin, post._id),
+      title: titleFor(post.message),
+      text: post.message || '',
+      published: parseTimestamp(post.timestamp),
+      author: post.username,
+      tags: parseTags(post.tags),
+      image: image ? { ...image, url: new URL(image.url, origin).toString() } : null
+    };
+  }));
+}
+
+// === RENDERING ===
+function escapeXml(value) {
+  return String(value)
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '') // Not allowed anywhere in XML 1.0
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// HTML body of an item; XML formats escape it once more as element text
+function itemHtml(item) {
+  const paragraphs = item.text.split(/\n{2,}/).filter(Boolean)
+    .map(paragraph => `<p>${escapeXml(paragraph).replace(/\n/g, '<br>')}</p>`);
+  if (item.image) paragraphs.push(`<p><img src="${escapeXml(item.image.url)}" alt=""></p>`);
+  return paragraphs.join('');
+}
+
+function renderRss(feed) {
+  const items = feed.items.map(item => [
+    '<item>',
+    `<title>${escapeXml(item.title)}</title>`,
+    `<link>${escapeXml(item.url)}</link>`,
+    `<guid isPermaLink="true">${escapeXml(item.id)}</guid>`,
+    `<pubDate>${item.published.toUTCString()}</pubDate>`,
+    `<dc:creator>${escapeXml(item.author)}</dc:creator>`,
+    ...item.tags.map(tag => `<category>${escapeXml(tag)}</category>`),
+    `<description>${escapeXml(itemHtml(item))}</description>`,
+    // RSS requires a length; 0 is the accepted placeholder when it is not known
+    item.image ? `<enclosure url="${escapeXml(item.image.url)}" length="${item.image.bytes ?? 0}" type="${escapeXml(item.image.contentType)}"/>` : '',
+    '</item>'
+  ].filter(Boolean).join(''));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '<channel>',
+    `<title>${escapeXml(feed.title)}</title>`,
+    `<link>${escapeXml(feed.homeUrl)}</link>`,
+    `<description>${escapeXml(feed.description)}</description>`,
+    `<atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `<lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    ...items,
+    '</channel>',
+    '</rss>'
+  ].join('\n');
+}
+
+function renderAtom(feed) {
+  const entries = feed.items.map(item => [
+    '<entry>',
+    `<id>${escapeXml(item.id)}</id>`,
+    `<title>${escapeXml(item.title)}</title>`,
+    `<link rel="alternate" href="${escapeXml(item.url)}"/>`,
+    `<published>${item.published.toISOString()}</published>`,
+    `<updated>${item.published.toISOString()}</updated>`,
+    `<author><name>${escapeXml(item.author)}</name></author>`,
+    ...item.tags.map(tag => `<category term="${escapeXml(tag)}"/>`),
+    `<content type="html">${escapeXml(itemHtml(item))}</content>`,
+    item.image ? `<link rel="enclosure" href="${escapeXml(item.image.url)}" type="${escapeXml(item.image.contentType)}"${item.image.bytes ? ` length="${item.image.bytes}"` : ''}/>` : '',
+    '</entry>'
+  ].filter(Boolean).join(''));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `<id>${escapeXml(feed.selfUrl)}</id>`,
+    `<title>${escapeXml(feed.title)}</title>`,
+    `<subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+    `<link rel="alternate" href="${escapeXml(feed.homeUrl)}"/>`,
+    `<updated>${feed.updated.toISOString()}</updated>`,
+    // Every entry names its author, so the feed-level one is only for single-author feeds
+    feed.author ? `<author><name>${escapeXml(feed.author)}</name></author>` : '',
+    ...entries,
+    '</feed>'
+  ].filter(Boolean).join('\n');
+}
+
+function renderJsonFeed(feed) {
+  const json = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.selfUrl,
+    description: feed.description,
+    items: feed.items.map(item => {
+      const entry = {
+        id: item.id,
+        url: item.url,
+        title: item.title,
+        content_text: item.text,
+        content_html: itemHtml(item),
+        date_published: item.published.toISOString(),
+        authors: [{ name: item.author }],
+        tags: item.tags
+      };
+      if (item.image) {
+        entry.image = item.image.url;
+        entry.attachments = [{
+          url: item.image.url,
+          mime_type: item.image.contentType,
+          ...(item.image.bytes ? { size_in_bytes: item.image.bytes } : {})
+        }];
+      }
+      return entry;
+    })
+  };
+  if (feed.author) json.authors = [{ name: feed.author }];
+  return JSON.stringify(json);
+}
+
+const RENDERERS = { rss: renderRss, atom: renderAtom, json: renderJsonFeed };
+
+// feed: { title, description, author (optional), homeUrl, selfUrl, items }. Last-Modified is the newest item's date.
+export function feedResponse(format, feed, headers) {
+  const updated = feed.items.length > 0
+    ? new Date(Math.max(...feed.items.map(item => item.published.getTime())))
+    : new Date();
+  const responseHeaders = new Headers(headers);
+  responseHeaders.set('Content-Type', FEED_FORMATS[format]);
+  if (feed.items.length > 0) responseHeaders.set('Last-Modified', updated.toUTCString());
+  return new Response(RENDERERS[format]({ ...feed, updated }), { status: 200, headers: responseHeaders });
+}
+
+// If-Modified-Since against Last-Modified; If-None-Match (handled by the edge cache) takes precedence
+export function applyIfModifiedSince(request, response) {
+  const since = Date.parse(request.headers.get('If-Modified-Since') || '');
+  const lastModified = Date.parse(response.headers.get('Last-Modified') || '');
+  if (response.status !== 200 || request.headers.has('If-None-Match') || Number.isNaN(since) || Number.isNaN(lastModified)) {
+    return response;
+  }
+  if (lastModified > since) return response;
+
+  const headers = new Headers(response.headers);
+  headers.delete('Content-Type');
+  return new Response(null, { status: 304, headers });
+}
@@ -0,0 +1,115 @@
+// Conversations built on replyTo/parent_id: a post with its ancestors, and threaded reply pages
+import { errorResponse, jsonResponse } from './http.js';
+import { CURSOR_RULE, limitRule } from './validation.js';
+import { encodeCursor, decodeCursor } from './cursor.js';
+import { enrichPostsWithUserData } from './enrich.js';
+import { mediaBaseUrl } from './media.js';
+import { filterViewable } from './moderation.js';
+import * as postsRepo from './repositories/posts.js';
+
+const MAX_ANCESTORS = 50;
+const DEFAULT_REPLY_DEPTH = 3;
+const MAX_REPLY_DEPTH = 6;
+const NESTED_REPLIES_PER_POST = 5; // Deeper levels show a preview; clients page the rest via /posts/:id/replies
+const NESTED_LEVEL_LIMIT = 200;
+
+export const REPLIES_QUERY = {
+  limit: limitRule(50, 20),
+  depth: { type: 'integer', min: 1, max: MAX_REPLY_DEPTH },
+  cursor: CURSOR_RULE
+};
+
+// Ancestors the viewer may not see, or by authors in `blocked`, are left out, so the conversation skips over them
+export async function handleGetPost(db, postId, headers, defaultPfp, mediaBase, viewer = null, blocked = []) {
+  const rows = await filterViewable(db, await postsRepo.findWithAncestors(db, postId, MAX_ANCESTORS), viewer);
+  if (rows.length === 0 || rows[0]._id !== postId) {
+    return errorResponse('not_found', 'Post not found', headers);
+  }
+  const [row, ...ancestorRows] = rows;
+  const shown = [row, ...ancestorRows.filter(ancestor => !blocked.includes(ancestor.username))];
+
+  // Root first, so the conversation reads top to bottom
+  const [post, ...ancestors] = await enrichPostsWithUserData(db, shown, defaultPfp, mediaBase, blocked);
+  return jsonResponse({ post, ancestors: ancestors.reverse() }, 200, headers);
+}
+
+function defaultDepth(env) {
+  const configured = parseInt(env.REPLY_THREAD_DEPTH) || DEFAULT_REPLY_DEPTH;
+  return Math.min(Math.max(configured, 1), MAX_REPLY_DEPTH);
+}
+
+// Top-level replies are keyset paginated oldest first; each one carries up to `depth - 1` levels of nested replies
+// Replies by authors in `blocked` are left out, along with everything under them
+export async function handleGetReplies(db, postId, query, headers, defaultPfp, env, blocked = [], viewer = null) {
+  const { cursor, limit: pageSize } = query;
+  const depth = query.depth ?? defaultDepth(env);
+
+  let position = null;
+  if (cursor) {
+    position = await decodeCursor(cursor, env.CURSOR_SECRET);
+    if (!position || position.t !== 'replies' || position.p !== postId) {
+      return errorResponse('invalid_cursor', 'Invalid cursor', headers);
+    }
+  }
+
+  const parent = await postsRepo.findById(db, postId);
+  if (!parent || (await filterViewable(db, [parent], viewer)).length === 0) {
+    return errorResponse('not_found', 'Post not found', headers);
+  }
+
+  const rows = await postsRepo.findReplies(db, [postId], {
+    after: position ? { timestamp: position.ts, id: position.id } : null,
+    excludeAuthors: blocked,
+    limit: pageSize + 1
+  });
+  const hasMoreReplies = rows.length > pageSize;
+  const topLevel = rows.slice(0, pageSize);
+
+  // One query per nested level, covering every reply on the level above
+  const childrenByParent = new Map();
+  let level = topLevel;
+  for (let currentDepth = 1; currentDepth < depth && level.length > 0; currentDepth++) {
+    const children = await postsRepo.findReplies(db, level.map(reply => reply._id), {
+      excludeAuthors: blocked,
+      limit: NESTED_LEVEL_LIMIT
+    });
+    const nextLevel = [];
+    children.forEach(child => {
+      const siblings = childrenByParent.get(child.parent_id) || [];
+      if (siblings.length < NESTED_REPLIES_PER_POST) {
+        siblings.push(child);
+        childrenByParent.set(child.parent_id, siblings);
+        nextLevel.push(child);
+      }
+    });
+    level = nextLevel;
+  }
+
+  const allRows = [...topLevel, ...[...childrenByParent.values()].flat()];
+  const enriched = await enrichPostsWithUserData(db, allRows, defaultPfp, mediaBaseUrl(env), blocked);
+  const enrichedById = new Map(enriched.map(post => [post._id, post]));
+
+  const buildThread = (row, currentDepth) => {
+    const children = currentDepth < depth ? childrenByParent.get(row._id) || [] : [];
+    const replies = children.map(child => buildThread(child, currentDepth + 1));
+    return {
+      ...enrichedById.get(row._id),
+      replies,
+      hasMoreReplies: (Number(row.comments_count) || 0) > replies.length
+    };
+  };
+
+  let nextCursor = null;
+  if (hasMoreReplies) {
+    const last = topLevel[topLevel.length - 1];
+    nextCursor = await encodeCursor({ t: 'replies', p: postId, ts: last.timestamp, id: last._id }, env.CURSOR_SECRET);
+  }
+
+  return jsonResponse({
+    postId,
+    replies: topLevel.map(row => buildThread(row, 1)),
+    hasMoreReplies,
+    nextCursor,
+    depth
+  }, 200, headers);
+}
@@ -0,0 +1,153 @@
+// Schema validation for query strings and JSON bodies.
+// A schema maps field names to rules:
+//   type: 'string' | 'integer' | 'number' | 'boolean' | 'timestamp' | 'array' | 'object'
+//   required, default, min/max (value for numbers, length for strings and arrays), enum, pattern,
+//   trim (strings), items (array element rule), fields (object schema), preprocess (value => value)
+// Query values arrive as strings and are coerced; body values must already have the right JSON type.
+// Timestamps are normalized to SQL DATETIME strings (UTC).
+import { toSqlDateTime } from './http.js';
+
+const INTEGER_PATTERN = /^-?\d+$/;
+const NAIVE_DATETIME = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+
+function checkString(value, rule) {
+  const text = rule.trim ? value.trim() : value;
+  if (rule.min !== undefined && text.length < rule.min) {
+    return { error: rule.min === 1 ? 'must not be empty' : `must be at least ${rule.min} characters` };
+  }
+  if (rule.max !== undefined && text.length > rule.max) return { error: `must be at most ${rule.max} characters` };
+  if (rule.enum && !rule.enum.includes(text)) return { error: `must be one of ${rule.enum.join(', ')}` };
+  if (rule.pattern && !rule.pattern.test(text)) return { error: rule.patternMessage || 'has an invalid format' };
+  return { value: text };
+}
+
+function checkNumber(value, rule, fromQuery) {
+  let number = value;
+  if (fromQuery) {
+    if (rule.type === 'integer' && !INTEGER_PATTERN.test(value)) return { error: 'must be an integer' };
+    number = value.trim() === '' ? NaN : Number(value);
+  }
+  if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'must be a number' };
+  if (rule.type === 'integer' && !Number.isInteger(number)) return { error: 'must be an integer' };
+  if (rule.min !== undefined && number < rule.min) return { error: `must be at least ${rule.min}` };
+  if (rule.max !== undefined && number > rule.max) return { error: `must be at most ${rule.max}` };
+  return { value: number };
+}
+
+// Zone-less datetimes are read as UTC, like the values stored in the database
+function checkTimestamp(value) {
+  if (typeof value !== 'string' || value.trim() === '') return { error: 'must be a date or datetime' };
+  const text = value.trim();
+  const date = new Date(NAIVE_DATETIME.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+  if (Number.isNaN(date.getTime())) return { error: 'must be a date or datetime' };
+  return { value: toSqlDateTime(date) };
+}
+
+function checkValue(value, rule, field, fromQuery, errors) {
+  const input = rule.preprocess ? rule.preprocess(value) : value;
+  let result;
+
+  switch (rule.type) {
+    case 'string':
+      result = typeof input === 'string' ? checkString(input, rule) : { error: 'must be a string' };
+      break;
+    case 'integer':
+    case 'number':
+      result = checkNumber(input, rule, fromQuery);
+      break;
+    case 'boolean':
+      if (fromQuery) {
+        result = input === 'true' || input === '1' ? { value: true }
+          : input === 'false' || input === '0' ? { value: false }
+            : { error: 'must be true or false' };
+      } else {
+        result = typeof input === 'boolean' ? { value: input } : { error: 'must be true or false' };
+      }
+      break;
+    case 'timestamp':
+      result = checkTimestamp(input);
+      break;
+    case 'array':
+      if (!Array.isArray(input)) {
+        result = { error: 'must be an array' };
+      } else if (rule.min !== undefined && input.length < rule.min) {
+        result = { error: `must have at least ${rule.min} item${rule.min === 1 ? '' : 's'}` };
+      } else if (rule.max !== undefined && input.length > rule.max) {
+        result = { error: `must have at most ${rule.max} items` };
+      } else {
+        const before = errors.length;
+        const items = rule.items
+          ? input.map((item, i) => checkValue(item, rule.items, `${field}[${i}]`, fromQuery, errors))
+          : input;
+        return errors.length > before ? undefined : items;
+      }
+      break;
+    case 'object':
+      if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        result = { error: 'must be an object' };
+      } else if (rule.fields) {
+        const nested = validateFields(rule.fields, input, { fromQuery, strict: true, prefix: `${field}.` });
+        errors.push(...nested.errors);
+        return nested.value;
+      } else {
+        result = { value: input };
+      }
+      break;
+    default:
+      result = { value: input };
+  }
+
+  if (result.error) {
+    errors.push({ field, message: `${field} ${result.error}` });
+    return undefined;
+  }
+  return result.value;
+}
+
+function validateFields(schema, input, { fromQuery, strict, prefix = '' }) {
+  const errors = [];
+  const value = {};
+
+  Object.entries(schema).forEach(([name, rule]) => {
+    const field = `${prefix}${name}`;
+    if (input[name] === undefined) {
+      if (rule.required) errors.push({ field, message: `${field} is required` });
+      else if (rule.default !== undefined) value[name] = rule.default;
+      return;
+    }
+    // null clears optional body fields; it is only accepted where the rule says so
+    if (input[name] === null && rule.nullable) {
+      value[name] = null;
+      return;
+    }
+    const checked = checkValue(input[name], rule, field, fromQuery, errors);
+    if (checked !== undefined) value[name] = checked;
+  });
+
+  if (strict) {
+    Object.keys(input)
+      .filter(name => !Object.prototype.hasOwnProperty.call(schema, name))
+      .forEach(name => errors.push({ field: `${prefix}${name}`, message: `${prefix}${name} is not an allowed field` }));
+  }
+
+  return { value, errors };
+}
+
+// Unknown query parameters are ignored (cache busters, tracking tags); unknown body fields are errors
+export function validateQuery(schema, query) {
+  return validateFields(schema, query, { fromQuery: true, strict: false });
+}
+
+export function validateBody(schema, body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { value: null, errors: [{ field: 'body', message: 'Request body must be a JSON object' }] };
+  }
+  return validateFields(schema, body, { fromQuery: false, strict: true });
+}
+
+// Shared query rules
+export const CURSOR_RULE = { type: 'string', max: 4096 };
+
+export function limitRule(max, defaultValue) {
+  return { type: 'integer', min: 1, max, default: defaultValue };
+}
@@ -0,0 +1,83 @@
+// Post view tracking: batches of client view events written to post_views
+import { jsonResponse, toSqlDateTime } from './http.js';
+import * as postViewsRepo from './repositories/postViews.js';
+import * as postsRepo from './repositories/posts.js';
+import { log } from './observability.js';
+
+const MAX_EVENTS_PER_BATCH = 100;
+const MAX_DWELL_MS = 60 * 60 * 1000;
+const VIEW_DEDUPE_WINDOW_MINUTES = 30; // Views of the same post recorded inside this window are not counted again
+
+const VIEW_EVENT_FIELDS = {
+  // Older clients send numeric ids
+  postId: {
+    type: 'string',
+    required: true,
+    min: 1,
+    max: 64,
+    preprocess: value => (typeof value === 'number' ? String(value) : value)
+  },
+  dwellMs: { type: 'integer', min: 0, max: MAX_DWELL_MS, default: 0 },
+  // The client's clock: stored for analytics only, the dedupe window goes by when the server recorded the view
+  viewedAt: { type: 'timestamp' },
+  // Where the post was shown (feed, profile, search); accepted but not stored
+  source: { type: 'string', max: 32 }
+};
+
+export const RECORD_VIEWS_BODY = {
+  events: {
+    type: 'array',
+    required: true,
+    min: 1,
+    max: MAX_EVENTS_PER_BATCH,
+    items: { type: 'object', fields: VIEW_EVENT_FIELDS }
+  }
+};
+
+export async function handleRecordViews(body, db, identity, headers, ctx) {
+  const userId = identity.userId;
+  const views = dedupeViewEvents(body.events);
+  ctx.waitUntil(
+    persistViews(db, userId, views).catch(error => {
+      log('error', 'Error recording post views', { error });
+    })
+  );
+
+  return jsonResponse({ accepted: views.length }, 202, headers);
+}
+
+// Events have been validated against VIEW_EVENT_FIELDS; one view per post: the latest viewedAt and the longest dwell win
+function dedupeViewEvents(events) {
+  const now = Date.now();
+  const byPost = new Map();
+
+  events.forEach(({ postId, dwellMs, viewedAt: sqlViewedAt }) => {
+    // Validated timestamps are UTC DATETIME strings; views reported from the future count as now
+    const viewedAt = sqlViewedAt ? Math.min(new Date(`${sqlViewedAt.replace(' ', 'T')}Z`).getTime(), now) : now;
+
+    const existing = byPost.get(postId);
+    byPost.set(postId, {
+      postId,
+      viewedAt: existing ? Math.max(existing.viewedAt, viewedAt) : viewedAt,
+      dwellMs: existing ? Math.max(existing.dwellMs, dwellMs) : dwellMs
+    });
+  });
+
+  return [...byPost.values()];
+}
+
+async function persistViews(db, userId, views) {
+  const postIds = views.map(v => v.postId);
+  const alreadyCounted = new Set(
+    (await postViewsRepo.findViewedSince(db, userId, postIds, VIEW_DEDUPE_WINDOW_MINUTES)).map(String)
+  );
+  const freshViews = views.filter(v => !alreadyCounted.has(String(v.postId)));
+  if (freshViews.length === 0) return;
+
+  await postViewsRepo.insertViews(db, userId, freshViews.map(v => ({
+    postId: v.postId,
+    viewedAt: toSqlDateTime(new Date(v.viewedAt)),
+    dwellMs: v.dwellMs
+  })));
+  await postsRepo.incrementViews(db, freshViews.map(v => v.postId));
+}
@@ -0,0 +1,94 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { authenticate, verifyJwt } from '../src/auth.js';
+import { toBase64Url } from '../src/encoding.js';
+import { signToken, startWorker } from './helpers/worker.js';
+
+const SECRET = 'auth-test-secret';
+const now = () => Math.floor(Date.now() / 1000);
+const segment = value => toBase64Url(new TextEncoder().encode(JSON.stringify(value)));
+
+// === TOKENS ===
+test('a token signed with the secret yields its claims', async () => {
+  const claims = await verifyJwt(await signToken({ sub: 'alice', role: 'admin' }, SECRET), SECRET);
+  assert.equal(claims.sub, 'alice');
+  assert.equal(claims.role, 'admin');
+});
+
+test('tokens with another secret, an edited payload or past their expiry are rejected', async () => {
+  const token = await signToken({ sub: 'alice' }, SECRET);
+  assert.equal(await verifyJwt(token, 'another-secret'), null);
+
+  const [header, , signature] = token.split('.');
+  assert.equal(await verifyJwt(`${header}.${segment({ sub: 'mallory' })}.${signature}`, SECRET), null);
+
+  assert.equal(await verifyJwt(await signToken({ sub: 'alice', exp: now() - 3600 }, SECRET), SECRET), null);
+  assert.equal(await verifyJwt('not.a.token', SECRET), null);
+});
+
+test('tokens without a numeric expiry are rejected', async () => {
+  assert.equal(await verifyJwt(await signToken({ sub: 'alice', exp: undefined }, SECRET), SECRET), null);
+  assert.equal(await verifyJwt(await signToken({ sub: 'alice', exp: String(now() + 3600) }, SECRET), SECRET), null);
+});
+
+test('unsigned tokens are rejected', async () => {
+  const unsigned = `${segment({ alg: 'none', typ: 'JWT' })}.${segment({ sub: 'alice', exp: now() + 60 })}.`;
+  assert.equal(await verifyJwt(unsigned, SECRET), null);
+});
+
+test('issuer and audience are checked when configured', async () => {
+  const token = await signToken({ sub: 'alice', iss: 'https://id.example.com', aud: ['api'] }, SECRET);
+  assert.ok(await verifyJwt(token, SECRET, { issuer: 'https://id.example.com', audience: 'api' }));
+  assert.equal(await verifyJwt(token, SECRET, { issuer: 'https://other.example.com' }), null);
+  assert.equal(await verifyJwt(token, SECRET, { audience: 'web' }), null);
+});
+
+test('the identity comes from the sub claim and roles', async () => {
+  const request = token => new Request('http://worker.test/v1/feed', { headers: { Authorization: `Bearer ${token}` } });
+  const env = { JWT_SECRET: SECRET };
+
+  assert.deepEqual(await authenticate(request(await signToken({ sub: 'bob', roles: ['admin'] }, SECRET)), env), {
+    identity: { userId: 'bob', isAdmin: true }
+  });
+  assert.deepEqual(await authenticate(new Request('http://worker.test/v1/feed'), env), { identity: null });
+  assert.ok((await authenticate(request(await signToken({ role: 'admin' }, SECRET)), env)).error);
+  assert.ok((await authenticate(request(await signToken({ sub: 'bob' }, SECRET)), {})).error);
+});
+
+// === ROUTES ===
+let worker;
+before(async () => {
+  worker = await startWorker();
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+test('the feed requires a valid token', async () => {
+  const anonymous = await worker.fetch('/v1/feed');
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.headers.get('WWW-Authenticate'), 'Bearer');
+  assert.equal((await anonymous.json()).error.code, 'authentication_required');
+
+  const forged = await worker.fetch('/v1/feed', { token: await signToken({ sub: 'alice' }, 'guessed-secret') });
+  assert.equal(forged.status, 401);
+  assert.equal((await forged.json()).error.code, 'invalid_token');
+});
+
+test('only admins may read another user\'s feed', async () => {
+  const asBob = await worker.fetch('/v1/feed?userId=alice', { token: await worker.token({ sub: 'bob' }) });
+  assert.equal(asBob.status, 200);
+  const { nextCursor } = await asBob.json();
+  // The cursor is bound to the user the feed was built for
+  const replayed = await worker.fetch(`/v1/feed?cursor=${nextCursor}`, { token: await worker.token({ sub: 'alice' }) });
+  assert.equal(replayed.status, 400);
+
+  const asAdmin = await worker.fetch('/v1/feed?userId=bob', { token: await worker.token({ sub: 'alice', role: 'admin' }) });
+  assert.equal(asAdmin.status, 200);
+});
+
+test('admin routes refuse other users', async () => {
+  const response = await worker.fetch('/v1/admin/reports', { token: await worker.token({ sub: 'bob' }) });
+  assert.equal(response.status, 403);
+  assert.equal((await response.json()).error.code, 'forbidden');
+});
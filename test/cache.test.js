@@ -0,0 +1,162 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCacheKey, getCacheSettings, withEdgeCache } from '../src/cache.js';
+import { startWorker } from './helpers/worker.js';
+
+// An in-memory caches.default; the platform proxy's cache never stores anything
+const entries = new Map();
+globalThis.caches = {
+  default: {
+    async match(request) {
+      return entries.get(request.url)?.clone();
+    },
+    async put(request, response) {
+      entries.set(request.url, response.clone());
+    }
+  }
+};
+
+const SETTINGS = { ttl: 30, staleWhileRevalidate: 300 };
+
+function context() {
+  const pending = [];
+  return { ctx: { waitUntil: promise => pending.push(promise) }, settled: () => Promise.all(pending) };
+}
+
+function producer(...bodies) {
+  let calls = 0;
+  const produce = async () => new Response(JSON.stringify(bodies[Math.min(calls++, bodies.length - 1)]), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' }
+  });
+  return { produce, calls: () => calls };
+}
+
+// Moves a stored entry `seconds` into the past
+function age(key, seconds) {
+  const entry = entries.get(key.url);
+  const headers = new Headers(entry.headers);
+  headers.set('X-Cache-Stored-At', String(Date.now() - seconds * 1000));
+  entries.set(key.url, new Response(entry.body, { status: 200, headers }));
+}
+
+const get = (headers = {}) => new Request('http://worker.test/v1/posts', { headers });
+
+// === KEYS AND SETTINGS ===
+test('equivalent queries share a cache key', () => {
+  const keys = ['page', 'limit', 'sort'];
+  const defaults = { page: '1', limit: '10', sort: 'general' };
+  assert.equal(buildCacheKey('posts', {}, keys, defaults).url, buildCacheKey('posts', { sort: 'general', page: 1 }, keys, defaults).url);
+  assert.notEqual(buildCacheKey('posts', { page: 2 }, keys, defaults).url, buildCacheKey('posts', {}, keys, defaults).url);
+  // Parameters outside the key do not split the cache
+  assert.equal(buildCacheKey('posts', { utm_source: 'mail' }, keys).url, buildCacheKey('posts', {}, keys).url);
+});
+
+test('lifetimes come from the env with defaults', () => {
+  assert.deepEqual(getCacheSettings({}, 'profile'), { ttl: 60, staleWhileRevalidate: 300 });
+  assert.deepEqual(getCacheSettings({ LISTING_CACHE_TTL_SECONDS: '5', CACHE_SWR_SECONDS: '20' }, 'listing'), { ttl: 5, staleWhileRevalidate: 20 });
+});
+
+// === FRESH, STALE AND EXPIRED ===
+test('a miss is stored and the next request is a hit with the same ETag', async () => {
+  const key = buildCacheKey('unit/hit', {}, []);
+  const { ctx, settled } = context();
+  const { produce, calls } = producer({ page: 1 });
+
+  const miss = await withEdgeCache(get(), ctx, key, SETTINGS, produce);
+  await settled();
+  assert.equal(miss.headers.get('X-Cache'), 'MISS');
+  assert.equal(miss.headers.get('Cache-Control'), 'public, max-age=30, stale-while-revalidate=300');
+  assert.equal(miss.headers.get('Vary'), 'Authorization');
+  assert.match(miss.headers.get('ETag'), /^"[0-9a-f]{32}"$/);
+  assert.equal(miss.headers.get('X-Cache-Stored-At'), null);
+
+  const hit = await withEdgeCache(get(), ctx, key, SETTINGS, produce);
+  assert.equal(hit.headers.get('X-Cache'), 'HIT');
+  assert.equal(hit.headers.get('ETag'), miss.headers.get('ETag'));
+  assert.deepEqual(await hit.json(), { page: 1 });
+  assert.equal(calls(), 1);
+});
+
+test('If-None-Match with the current ETag gets a 304 without a body', async () => {
+  const key = buildCacheKey('unit/etag', {}, []);
+  const { ctx, settled } = context();
+  const { produce } = producer({ page: 1 });
+  const first = await withEdgeCache(get(), ctx, key, SETTINGS, produce);
+  await settled();
+
+  const etag = first.headers.get('ETag');
+  for (const ifNoneMatch of [etag, `W/${etag}`, `"other", ${etag}`, '*']) {
+    const response = await withEdgeCache(get({ 'If-None-Match': ifNoneMatch }), ctx, key, SETTINGS, produce);
+    assert.equal(response.status, 304, ifNoneMatch);
+    assert.equal(await response.text(), '');
+    assert.equal(response.headers.get('ETag'), etag);
+  }
+  const changed = await withEdgeCache(get({ 'If-None-Match': '"other"' }), ctx, key, SETTINGS, produce);
+  assert.equal(changed.status, 200);
+});
+
+test('a stale entry is served while it is refreshed in the background', async () => {
+  const key = buildCacheKey('unit/stale', {}, []);
+  const { ctx, settled } = context();
+  const { produce, calls } = producer({ version: 1 }, { version: 2 });
+  await withEdgeCache(get(), ctx, key, SETTINGS, produce);
+  await settled();
+  age(key, SETTINGS.ttl + 1);
+
+  const stale = await withEdgeCache(get(), ctx, key, SETTINGS, produce);
+  assert.equal(stale.headers.get('X-Cache'), 'STALE');
+  assert.deepEqual(await stale.json(), { version: 1 });
+  await settled();
+  assert.equal(calls(), 2);
+
+  const refreshed = await withEdgeCache(get(), ctx, key, SETTINGS, produce);
+  assert.equal(refreshed.headers.get('X-Cache'), 'HIT');
+  assert.deepEqual(await refreshed.json(), { version: 2 });
+});
+
+test('entries past the stale window are produced again before responding', async () => {
+  const key = buildCacheKey('unit/expired', {}, []);
+  const { ctx, settled } = context();
+  const { produce } = producer({ version: 1 }, { version: 2 });
+  await withEdgeCache(get(), ctx, key, SETTINGS, produce);
+  await settled();
+  age(key, SETTINGS.ttl + SETTINGS.staleWhileRevalidate + 1);
+
+  const response = await withEdgeCache(get(), ctx, key, SETTINGS, produce);
+  assert.equal(response.headers.get('X-Cache'), 'MISS');
+  assert.deepEqual(await response.json(), { version: 2 });
+});
+
+test('errors are passed through and not stored', async () => {
+  const key = buildCacheKey('unit/error', {}, []);
+  const { ctx } = context();
+  const response = await withEdgeCache(get(), ctx, key, SETTINGS, async () => new Response('{}', { status: 404 }));
+  assert.equal(response.status, 404);
+  assert.equal(entries.has(key.url), false);
+});
+
+// === ROUTES ===
+let worker;
+before(async () => {
+  worker = await startWorker();
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+test('anonymous listings and profiles are cached; signed-in requests are not', async () => {
+  const first = await worker.fetch('/v1/posts?sort=newest&limit=5');
+  assert.equal(first.headers.get('X-Cache'), 'MISS');
+  const second = await worker.fetch('/v1/posts?limit=5&sort=newest&utm_source=mail');
+  assert.equal(second.headers.get('X-Cache'), 'HIT');
+
+  const profile = await worker.fetch('/v1/users/bob');
+  assert.equal(profile.headers.get('X-Cache'), 'MISS');
+  const revalidated = await worker.fetch('/v1/users/bob', { headers: { 'If-None-Match': profile.headers.get('ETag') } });
+  assert.equal(revalidated.status, 304);
+
+  const signedIn = await worker.fetch('/v1/posts?sort=newest&limit=5', { token: await worker.token({ sub: 'alice' }) });
+  assert.equal(signedIn.status, 200);
+  assert.equal(signedIn.headers.get('X-Cache'), null);
+});
@@ -0,0 +1,64 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandCategorySlugs, loadTaxonomy, resolveCategory } from '../src/categories.js';
+import { startWorker } from './helpers/worker.js';
+
+let worker;
+before(async () => {
+  worker = await startWorker();
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+async function listing(params) {
+  const response = await worker.fetch(`/v1/posts?${new URLSearchParams({ sort: 'newest', limit: '50', ...params })}`);
+  assert.equal(response.status, 200);
+  return (await response.json()).posts.map(post => post._id).sort();
+}
+
+// === TAXONOMY ===
+test('categories resolve from slugs, names and stored values, and parents include their children', async () => {
+  const taxonomy = await loadTaxonomy(worker.db);
+  assert.equal(resolveCategory(taxonomy, 'story_rant'), 'Story/Rant');
+  assert.equal(resolveCategory(taxonomy, 'Story/Rant'), 'Story/Rant');
+  assert.equal(resolveCategory(taxonomy, 'gardening'), null);
+  assert.deepEqual(expandCategorySlugs(taxonomy, ['sports', 'news', 'gardening']), {
+    values: ['Sports', 'football', 'News'],
+    unknown: ['gardening']
+  });
+});
+
+test('GET /categories nests subcategories under their parent', async () => {
+  const { categories } = await (await worker.fetch('/v1/categories')).json();
+  assert.deepEqual(categories.map(category => category.slug), ['story_rant', 'sports', 'entertainment', 'news']);
+  assert.deepEqual(categories.find(category => category.slug === 'sports').subcategories, [{ slug: 'football', name: 'Football' }]);
+});
+
+// === FILTERS ===
+test('one category filters the listing, subcategories included', async () => {
+  assert.deepEqual(await listing({ category: 'news' }), ['p02', 'p09']);
+  assert.deepEqual(await listing({ category: 'sports' }), ['p01', 'p03', 'p08']);
+  assert.deepEqual(await listing({ category: 'football' }), ['p08']);
+});
+
+test('several categories match posts in any of them', async () => {
+  assert.deepEqual(await listing({ category: 'news,entertainment' }), ['p02', 'p07', 'p09']);
+  assert.deepEqual(await listing({ category: 'sports,football' }), ['p01', 'p03', 'p08']);
+  // The older form, a slug passed as sort, still filters
+  assert.deepEqual(await listing({ sort: 'news' }), ['p02', 'p09']);
+});
+
+test('unknown categories are a 400 naming each one', async () => {
+  const response = await worker.fetch('/v1/posts?category=news,gardening,knitting');
+  assert.equal(response.status, 400);
+  const { error } = await response.json();
+  assert.equal(error.code, 'validation_failed');
+  assert.deepEqual(error.details, [
+    { field: 'category', message: 'gardening is not a known category' },
+    { field: 'category', message: 'knitting is not a known category' }
+  ]);
+
+  assert.equal((await worker.fetch('/v1/posts?sort=gardening')).status, 400);
+  assert.equal((await worker.fetch('/v1/posts?category=News%20Today')).status, 400);
+});
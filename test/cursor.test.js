@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeCursor, encodeCursor } from '../src/cursor.js';
+import { fromBase64Url, toBase64Url } from '../src/encoding.js';
+
+const SECRET = 'cursor-test-secret';
+
+test('a cursor decodes to the payload it was made from', async () => {
+  const payload = { t: 'feed', u: 'alice', page: 3, seen: ['p01', 'p02'], exhausted: ['friends'] };
+  const cursor = await encodeCursor(payload, SECRET);
+  assert.match(cursor, /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+  assert.deepEqual(await decodeCursor(cursor, SECRET), payload);
+});
+
+test('a cursor with an edited payload is rejected', async () => {
+  const cursor = await encodeCursor({ t: 'feed', u: 'alice', page: 2 }, SECRET);
+  const [, signature] = cursor.split('.');
+  const forged = toBase64Url(new TextEncoder().encode(JSON.stringify({ t: 'feed', u: 'bob', page: 2 })));
+  assert.equal(await decodeCursor(`${forged}.${signature}`, SECRET), null);
+});
+
+test('a cursor with an edited signature is rejected', async () => {
+  const cursor = await encodeCursor({ t: 'posts', before: { timestamp: '2024-01-01 00:00:00', id: 'p01' } }, SECRET);
+  const [body, signature] = cursor.split('.');
+  const bytes = fromBase64Url(signature);
+  bytes[0] ^= 1;
+  assert.equal(await decodeCursor(`${body}.${toBase64Url(bytes)}`, SECRET), null);
+});
+
+test('a cursor signed with another secret is rejected', async () => {
+  const cursor = await encodeCursor({ t: 'feed', u: 'alice' }, 'another-secret');
+  assert.equal(await decodeCursor(cursor, SECRET), null);
+});
+
+test('malformed cursors are rejected', async () => {
+  for (const cursor of ['', 'abc', 'a.b.c', '!!!.???', `${toBase64Url(new TextEncoder().encode('"text"'))}.x`]) {
+    assert.equal(await decodeCursor(cursor, SECRET), null, cursor);
+  }
+});
+
+test('cursors cannot be made or read without CURSOR_SECRET', async () => {
+  await assert.rejects(encodeCursor({ t: 'feed' }, undefined), /CURSOR_SECRET/);
+  await assert.rejects(decodeCursor('a.b', ''), /CURSOR_SECRET/);
+});
@@ -0,0 +1,108 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sqliteDialect } from '../src/db/d1.js';
+import { mysqlDialect } from '../src/db/mysql.js';
+import { insertBatches } from '../src/db/index.js';
+import * as postsRepo from '../src/repositories/posts.js';
+import * as postViewsRepo from '../src/repositories/postViews.js';
+import { runSqlFile, startWorker } from './helpers/worker.js';
+
+// Records every statement instead of running it
+function capturingDatabase(dialect) {
+  const statements = [];
+  return {
+    dialect,
+    statements,
+    async execute(sql, params = []) {
+      statements.push({ sql, params });
+      return { rows: [], rowsAffected: 0 };
+    }
+  };
+}
+
+const ids = count => Array.from({ length: count }, (_, i) => `x${String(i).padStart(3, '0')}`);
+
+// === QUERY BUILDING ===
+test('sqlite binds an IN list as one JSON array parameter', async () => {
+  const db = capturingDatabase(sqliteDialect);
+  await postsRepo.findRecent(db, { sinceDays: 7, excludeIds: ids(300), excludeAuthors: ['mallory'], limit: 10 });
+
+  const [{ sql, params }] = db.statements;
+  assert.match(sql, /p\._id NOT IN \(SELECT value FROM json_each\(\?\)\)/);
+  assert.match(sql, /p\.username NOT IN \(SELECT value FROM json_each\(\?\)\)/);
+  assert.ok(params.length <= sqliteDialect.maxParams);
+  assert.deepEqual(JSON.parse(params.find(param => String(param).startsWith('["x'))), ids(300));
+});
+
+test('mysql binds an IN list as one parameter per value', async () => {
+  const db = capturingDatabase(mysqlDialect);
+  await postsRepo.findRecent(db, { sinceDays: 7, excludeIds: ids(3), excludeAuthors: ['mallory'], limit: 10 });
+
+  const [{ sql, params }] = db.statements;
+  assert.match(sql, /p\._id NOT IN \(\?,\?,\?\)/);
+  assert.match(sql, /p\.username NOT IN \(\?\)/);
+  assert.ok(['x000', 'x001', 'x002', 'mallory'].every(value => params.includes(value)));
+});
+
+test('multi-row inserts are split to stay within the parameter limit', async () => {
+  const views = ids(60).map(postId => ({ postId, viewedAt: '2024-01-01 00:00:00', dwellMs: 0 }));
+
+  const sqlite = capturingDatabase(sqliteDialect);
+  await postViewsRepo.insertViews(sqlite, 'alice', views);
+  assert.equal(sqlite.statements.length, 3);
+  assert.ok(sqlite.statements.every(({ params }) => params.length <= sqliteDialect.maxParams));
+
+  const mysql = capturingDatabase(mysqlDialect);
+  await postViewsRepo.insertViews(mysql, 'alice', views);
+  assert.equal(mysql.statements.length, 1);
+  assert.equal(mysql.statements[0].params.length, 240);
+});
+
+test('insertBatches keeps at least one row per batch', () => {
+  assert.deepEqual(insertBatches({ dialect: { maxParams: 4 } }, [1, 2], 10), [[1], [2]]);
+  assert.deepEqual(insertBatches({ dialect: { maxParams: 100 } }, [], 4), []);
+});
+
+// === D1 ===
+let worker;
+before(async () => {
+  worker = await startWorker();
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+test('D1 records a batch of 100 view events', async () => {
+  const events = ids(100).map(postId => ({ postId, dwellMs: 1500 }));
+  const response = await worker.fetch('/v1/views', { method: 'POST', token: await worker.token({ sub: 'dave' }), json: { events } });
+  assert.equal(response.status, 202);
+
+  const { rows } = await worker.db.execute('SELECT COUNT(*) AS count FROM post_views WHERE user_id = ?', ['dave']);
+  assert.equal(Number(rows[0].count), 100);
+});
+
+test('D1 serves a feed to a user with more than 100 recent views', async () => {
+  for (const batch of insertBatches(worker.db, ids(150), 2)) {
+    await worker.db.execute(
+      `INSERT INTO post_views (user_id, post_id, viewed_at, dwell_ms, recorded_at) VALUES ${batch.map(() => "(?, ?, datetime('now'), 0, datetime('now'))").join(', ')}`,
+      batch.flatMap(postId => ['alice', postId])
+    );
+  }
+
+  const response = await worker.fetch('/v1/feed', { token: await worker.token({ sub: 'alice' }) });
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.ok(body.posts.length > 0);
+});
+
+test('the fixtures load again over a used database', async () => {
+  await worker.db.execute(
+    "INSERT INTO post_reports (post_id, reporter, reason, status, created_at) VALUES ('p01', 'carol', 'spam', 'open', datetime('now'))"
+  );
+  await runSqlFile(worker.env.DB, 'fixtures/seed.sql');
+
+  const count = async table => Number((await worker.db.execute(`SELECT COUNT(*) AS count FROM ${table}`)).rows[0].count);
+  assert.equal(await count('post_views'), 1);
+  assert.equal(await count('post_reports'), 0);
+  assert.equal(await count('categories'), 5);
+});
@@ -0,0 +1,93 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_RANKING, assignVariant, loadFeedExperiment } from '../src/experiments.js';
+import { startWorker } from './helpers/worker.js';
+
+const EXPERIMENT = {
+  name: 'friends-boost',
+  arms: [
+    { name: 'control', weight: 50 },
+    { name: 'more-friends', weight: 25, mix: 'random:3,following:3,friends:4' },
+    { name: 'fresh', weight: 25, ranking: { random: 'recency', order: 'recency' } }
+  ]
+};
+
+// === ASSIGNMENT ===
+test('a user always lands in the same arm', async () => {
+  const experiment = await loadFeedExperiment({ FEED_EXPERIMENT: JSON.stringify(EXPERIMENT) });
+  for (const userId of ['alice', 'bob', 'carol', 'user-1234']) {
+    const arm = assignVariant(experiment, userId);
+    for (let i = 0; i < 5; i++) {
+      assert.equal(assignVariant(experiment, userId).name, arm.name, userId);
+    }
+  }
+});
+
+test('arms fill in proportion to their weights', async () => {
+  const experiment = await loadFeedExperiment({ FEED_EXPERIMENT: JSON.stringify(EXPERIMENT) });
+  const counts = { control: 0, 'more-friends': 0, fresh: 0 };
+  for (let i = 0; i < 4000; i++) {
+    counts[assignVariant(experiment, `user-${i}`).name]++;
+  }
+  assert.ok(Math.abs(counts.control / 4000 - 0.5) < 0.05, JSON.stringify(counts));
+  assert.ok(Math.abs(counts['more-friends'] / 4000 - 0.25) < 0.05, JSON.stringify(counts));
+  assert.ok(Math.abs(counts.fresh / 4000 - 0.25) < 0.05, JSON.stringify(counts));
+});
+
+test('arms carry their mix and ranking over the defaults', async () => {
+  const { arms } = await loadFeedExperiment({ FEED_EXPERIMENT: JSON.stringify(EXPERIMENT) });
+  assert.deepEqual(arms[0].ranking, DEFAULT_RANKING);
+  assert.equal(arms[0].mix, null);
+  assert.deepEqual(arms[1].mix, { random: 3, following: 3, friends: 4, regional: 0 });
+  assert.deepEqual(arms[2].ranking, { ...DEFAULT_RANKING, random: 'recency', order: 'recency' });
+});
+
+test('disabled or invalid experiments are ignored, and KV wins over the var', async () => {
+  const config = overrides => JSON.stringify({ ...EXPERIMENT, ...overrides });
+  assert.equal(await loadFeedExperiment({}), null);
+  assert.equal(await loadFeedExperiment({ FEED_EXPERIMENT: config({ enabled: false }) }), null);
+  assert.equal(await loadFeedExperiment({ FEED_EXPERIMENT: config({ arms: [{ name: 'x', weight: 1, ranking: { order: 'magic' } }] }) }), null);
+  assert.equal(await loadFeedExperiment({ FEED_EXPERIMENT: '{not json' }), null);
+
+  const kv = { get: async () => config({ name: 'from-kv' }) };
+  assert.equal((await loadFeedExperiment({ FEED_EXPERIMENT: config({}), FEED_CONFIG: kv })).name, 'from-kv');
+});
+
+// === EXPOSURES ===
+let worker;
+before(async () => {
+  worker = await startWorker({
+    vars: {
+      FEED_EXPERIMENT: JSON.stringify({
+        name: 'recency-test',
+        arms: [{ name: 'fresh', weight: 1, mix: 'random:1', ranking: { order: 'recency' } }]
+      })
+    }
+  });
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+test('feeds are tagged with the arm and log one exposure per served post', async () => {
+  const token = await worker.token({ sub: 'bob' });
+  for (let i = 0; i < 2; i++) {
+    const response = await worker.fetch('/v1/feed?limit=5', { token });
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.experiment, 'recency-test');
+    assert.equal(body.variant, 'fresh');
+    assert.deepEqual(body.composition.requested, { random: 5, following: 0, friends: 0, regional: 0 });
+    // The arm's ranking orders the page newest first
+    const times = body.posts.map(post => new Date(post.timestamp).getTime());
+    assert.deepEqual(times, [...times].sort((a, b) => b - a));
+  }
+
+  const { rows } = await worker.db.execute(
+    'SELECT post_id, experiment, variant, bucket, position FROM feed_exposures WHERE user_id = ? ORDER BY id',
+    ['bob']
+  );
+  assert.equal(rows.length, 10);
+  assert.ok(rows.every(row => row.experiment === 'recency-test' && row.variant === 'fresh' && row.bucket === 'random'));
+  assert.deepEqual(rows.slice(0, 5).map(row => Number(row.position)), [0, 1, 2, 3, 4]);
+});
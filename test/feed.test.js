@@ -0,0 +1,68 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { insertBatches } from '../src/db/index.js';
+import { startWorker } from './helpers/worker.js';
+
+const AUTHORS = ['bob', 'carol', 'dave', 'erin'];
+
+let worker;
+before(async () => {
+  worker = await startWorker();
+  // ObjectId-sized ids, as in production
+  const posts = Array.from({ length: 240 }, (_, i) => ({
+    id: i.toString(16).padStart(24, '0'),
+    author: AUTHORS[i % AUTHORS.length]
+  }));
+  for (const batch of insertBatches(worker.db, posts, 3)) {
+    await worker.db.execute(
+      `INSERT INTO posts (_id, username, message, timestamp) VALUES ${batch.map(() => "(?, ?, ?, datetime('now', '-1 hour'))").join(', ')}`,
+      batch.flatMap(post => [post.id, post.author, `Post ${post.id}`])
+    );
+  }
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+test('the feed pages far past 80 posts without repeating one', async () => {
+  const token = await worker.token({ sub: 'alice' });
+  const served = new Set();
+  let cursor = null;
+
+  for (let page = 1; page <= 15; page++) {
+    const query = new URLSearchParams({ limit: '10', ...(cursor ? { cursor } : {}) });
+    const response = await worker.fetch(`/v1/feed?${query}`, { token });
+    assert.equal(response.status, 200, `page ${page}`);
+    const body = await response.json();
+    body.posts.forEach(post => {
+      assert.ok(!served.has(post._id), `post ${post._id} served twice`);
+      served.add(post._id);
+    });
+    assert.ok(body.nextCursor, `page ${page} has a next cursor`);
+    assert.ok(body.nextCursor.length < 4096);
+    cursor = body.nextCursor;
+  }
+
+  assert.ok(served.size >= 120);
+});
+
+test('coordinates sent with the feed become the user location, rounded', async () => {
+  await worker.db.execute('UPDATE users SET latitude = NULL, longitude = NULL WHERE username = ?', ['erin']);
+  const location = async username => (await worker.db.execute(
+    'SELECT latitude, longitude FROM users WHERE username = ?', [username]
+  )).rows[0];
+
+  const own = await worker.fetch('/v1/feed?lat=41.881832&lon=-87.623177', { token: await worker.token({ sub: 'erin' }) });
+  assert.equal(own.status, 200);
+  assert.deepEqual(await location('erin'), { latitude: 41.88, longitude: -87.62 });
+
+  // An admin reading erin's feed from elsewhere leaves the stored location alone
+  const admin = await worker.token({ sub: 'alice', role: 'admin' });
+  assert.equal((await worker.fetch('/v1/feed?userId=erin&lat=30.1&lon=-97.7', { token: admin })).status, 200);
+  assert.deepEqual(await location('erin'), { latitude: 41.88, longitude: -87.62 });
+
+  // erin's posts now reach the nearby bucket of users around that spot
+  const nearby = await worker.fetch('/v1/feed?mix=regional:10&lat=41.9&lon=-87.6&radius_km=5', { token: await worker.token({ sub: 'bob' }) });
+  const { posts } = await nearby.json();
+  assert.ok(posts.some(post => post.username === 'erin' && post.feedType === 'regional-nearby'));
+});
@@ -0,0 +1,82 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_FEED_WEIGHTS, loadFeedWeights, parseWeights, scaleWeights } from '../src/feedConfig.js';
+import { startWorker } from './helpers/worker.js';
+
+// === WEIGHTS ===
+test('weights parse from the mix shorthand and from JSON', () => {
+  assert.deepEqual(parseWeights('following:5, friends:5'), { random: 0, following: 5, friends: 5, regional: 0 });
+  assert.deepEqual(parseWeights('{"random": 1, "regional": 2}'), { random: 1, following: 0, friends: 0, regional: 2 });
+});
+
+test('unknown buckets, negative or all-zero weights are rejected', () => {
+  for (const value of ['popular:5', 'random:-1', 'random:0,friends:0', 'random', '{"random": "x"}', '{oops']) {
+    assert.equal(parseWeights(value), null, value);
+  }
+});
+
+test('scaled weights always add up to the page size', () => {
+  for (const limit of [1, 7, 10, 30, 50]) {
+    const counts = scaleWeights(DEFAULT_FEED_WEIGHTS, limit);
+    assert.equal(Object.values(counts).reduce((sum, n) => sum + n, 0), limit, `limit ${limit}`);
+  }
+  assert.deepEqual(scaleWeights(DEFAULT_FEED_WEIGHTS, 30), { random: 12, following: 9, friends: 6, regional: 3 });
+  // The largest remainders get the leftover slots
+  assert.deepEqual(scaleWeights(DEFAULT_FEED_WEIGHTS, 7), { random: 3, following: 2, friends: 1, regional: 1 });
+});
+
+test('buckets weighted zero get no slots', () => {
+  assert.deepEqual(scaleWeights(parseWeights('following:1,friends:1'), 5), { random: 0, following: 3, friends: 2, regional: 0 });
+});
+
+test('KV weights win over FEED_WEIGHTS, which win over the defaults', async () => {
+  const kv = value => ({ get: async key => (key === 'feed:weights' ? value : null) });
+  assert.deepEqual(await loadFeedWeights({}), DEFAULT_FEED_WEIGHTS);
+  assert.deepEqual(await loadFeedWeights({ FEED_WEIGHTS: 'friends:1' }), { random: 0, following: 0, friends: 1, regional: 0 });
+  assert.deepEqual(
+    await loadFeedWeights({ FEED_WEIGHTS: 'friends:1', FEED_CONFIG: kv('{"regional": 1}') }),
+    { random: 0, following: 0, friends: 0, regional: 1 }
+  );
+  // An unusable KV value falls back to the var
+  assert.deepEqual(
+    await loadFeedWeights({ FEED_WEIGHTS: 'friends:1', FEED_CONFIG: kv('nonsense') }),
+    { random: 0, following: 0, friends: 1, regional: 0 }
+  );
+});
+
+// === FEED RESPONSES ===
+let worker;
+let token;
+before(async () => {
+  worker = await startWorker({ vars: { FEED_WEIGHTS: 'random:1,following:1' } });
+  token = await worker.token({ sub: 'alice' });
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+test('the feed reports the requested mix scaled to limit and the actual one', async () => {
+  const response = await worker.fetch('/v1/feed?limit=30', { token });
+  assert.equal(response.status, 200);
+  const { posts, composition } = await response.json();
+  assert.deepEqual(composition.requested, { random: 15, following: 15, friends: 0, regional: 0 });
+
+  const actual = {};
+  posts.forEach(post => { actual[post.feedType] = (actual[post.feedType] || 0) + 1; });
+  assert.deepEqual(composition.actual, actual);
+});
+
+test('mix overrides the configured weights for one request', async () => {
+  const response = await worker.fetch('/v1/feed?limit=10&mix=friends:3,regional:2', { token });
+  assert.equal(response.status, 200);
+  const { composition } = await response.json();
+  assert.deepEqual(composition.requested, { random: 0, following: 0, friends: 6, regional: 4 });
+});
+
+test('an invalid mix is a validation error', async () => {
+  const response = await worker.fetch('/v1/feed?mix=popular:5', { token });
+  assert.equal(response.status, 400);
+  const { error } = await response.json();
+  assert.equal(error.code, 'validation_failed');
+  assert.equal(error.details[0].field, 'mix');
+});
@@ -0,0 +1,109 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TRENDING_WINDOW_DAYS, listTrendingFromPool, loadPooledPicks, refreshFeedPools } from '../src/feedPools.js';
+import { startWorker } from './helpers/worker.js';
+
+let worker;
+let token;
+let trending;
+before(async () => {
+  worker = await startWorker();
+  token = await worker.token({ sub: 'alice' });
+  await refreshFeedPools(worker.env);
+  trending = (await worker.env.FEED_POOLS.get('pool:trending', { type: 'json' })).posts;
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+test('the cron run stores a complete trending pool', async () => {
+  assert.ok(trending.length >= 4);
+  const page = await listTrendingFromPool(worker.db, worker.env, { sinceDays: TRENDING_WINDOW_DAYS }, { limit: 2, offset: 0 });
+  assert.deepEqual(page.posts.map(post => post._id), trending.slice(0, 2).map(entry => entry._id));
+  assert.equal(page.hasMore, true);
+});
+
+test('posts hidden since the refresh are skipped without leaving a page short', async () => {
+  const [first, second] = trending;
+  await worker.db.execute("UPDATE posts SET status = 'hidden' WHERE _id IN (?, ?)", [first._id, second._id]);
+  const shown = trending.slice(2).map(entry => entry._id);
+
+  const listing = await (await worker.fetch('/v1/posts?sort=trending&limit=2', { token })).json();
+  assert.deepEqual(listing.posts.map(post => post._id), shown.slice(0, 2));
+  assert.equal(listing.hasMorePosts, true);
+
+  const served = [];
+  let cursor = '';
+  do {
+    const page = await (await worker.fetch(`/v1/posts?sort=trending&limit=2&cursor=${cursor}`, { token })).json();
+    if (page.hasMorePosts) assert.equal(page.posts.length, 2);
+    served.push(...page.posts.map(post => post._id));
+    cursor = page.nextCursor;
+  } while (cursor);
+  assert.deepEqual(served, shown);
+
+  await worker.db.execute("UPDATE posts SET status = 'visible' WHERE _id IN (?, ?)", [first._id, second._id]);
+});
+
+test('pooled picks are replaced when the picked posts were hidden', async () => {
+  const [first, second, third] = trending;
+  await worker.db.execute("UPDATE posts SET status = 'hidden' WHERE _id IN (?, ?)", [first._id, second._id]);
+  const takeFirst = (remaining, n) => remaining.slice(0, n);
+
+  const posts = await loadPooledPicks(worker.db, trending, 2, takeFirst);
+  assert.deepEqual(posts.map(post => post._id), [third._id, trending[3]._id]);
+  // Short only once the candidates run out
+  assert.equal((await loadPooledPicks(worker.db, [first, second, third], 2, takeFirst)).length, 1);
+
+  await worker.db.execute("UPDATE posts SET status = 'visible' WHERE _id IN (?, ?)", [first._id, second._id]);
+});
+
+test('the last pooled page has no next page', async () => {
+  const offset = trending.length - 1;
+  const page = await listTrendingFromPool(worker.db, worker.env, { sinceDays: TRENDING_WINDOW_DAYS }, { limit: 2, offset });
+  assert.equal(page.hasMore, false);
+});
+
+// === REFRESH ===
+// The env with FEED_POOLS writes recorded
+function recordingEnv() {
+  const written = [];
+  const kv = worker.env.FEED_POOLS;
+  const env = {
+    ...worker.env,
+    FEED_POOLS: {
+      get: (...args) => kv.get(...args),
+      put: (key, ...args) => {
+        written.push(key);
+        return kv.put(key, ...args);
+      }
+    }
+  };
+  return { env, written };
+}
+
+test('a refresh only rewrites the pools whose posts changed', async () => {
+  const { env, written } = recordingEnv();
+  await refreshFeedPools(env);
+  // Scores decay between runs, so the scored pools are rewritten; the recent pool is unchanged
+  assert.ok(written.includes('pool:trending'));
+  assert.ok(!written.includes('pool:recent'));
+  assert.equal(written.at(-1), 'pool:manifest');
+
+  written.length = 0;
+  await worker.db.execute('UPDATE posts SET likes = likes + 1 WHERE _id = ?', [trending[0]._id]);
+  await refreshFeedPools(env);
+  assert.ok(written.includes('pool:recent'));
+});
+
+test('unchanged pools are rewritten before they expire', async () => {
+  const manifest = await worker.env.FEED_POOLS.get('pool:manifest', { type: 'json' });
+  Object.values(manifest).forEach(entry => {
+    entry.writtenAt -= 31 * 60 * 1000;
+  });
+  await worker.env.FEED_POOLS.put('pool:manifest', JSON.stringify(manifest));
+
+  const { env, written } = recordingEnv();
+  await refreshFeedPools(env);
+  assert.deepEqual(written.slice(0, -1).sort(), Object.keys(manifest).sort());
+});
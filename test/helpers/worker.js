@@ -0,0 +1,78 @@
+// Runs the worker in Node against a throwaway local D1 database (wrangler's platform proxy) with the
+// D1 migrations and the fixture data applied
+import { readdir, readFile } from 'node:fs/promises';
+import { getPlatformProxy } from 'wrangler';
+import worker from '../../src/index.js';
+import { createDatabase } from '../../src/db/index.js';
+import { toBase64Url } from '../../src/encoding.js';
+
+const ROOT = new URL('../../', import.meta.url);
+const encoder = new TextEncoder();
+
+function splitStatements(sql) {
+  return sql
+    .split('\n')
+    .filter(line => !line.trim().startsWith('--'))
+    .join('\n')
+    .split(/;\s*(?:\n|$)/)
+    .map(statement => statement.trim())
+    .filter(Boolean);
+}
+
+export async function runSqlFile(d1, path) {
+  for (const statement of splitStatements(await readFile(new URL(path, ROOT), 'utf8'))) {
+    await d1.prepare(statement).run();
+  }
+}
+
+// vars are merged over the env.local vars from wrangler.toml
+export async function startWorker({ seed = true, vars = {} } = {}) {
+  const proxy = await getPlatformProxy({ environment: 'local', persist: false });
+  const migrations = (await readdir(new URL('migrations/d1/', ROOT))).filter(name => name.endsWith('.sql')).sort();
+  for (const name of migrations) {
+    await runSqlFile(proxy.env.DB, `migrations/d1/${name}`);
+  }
+  if (seed) await runSqlFile(proxy.env.DB, 'fixtures/seed.sql');
+
+  // Durable Objects need the worker script itself, so rate limiting and live notifications stay off
+  const { RATE_LIMITER, NOTIFICATION_HUB, ...bindings } = proxy.env;
+  const env = { ...bindings, ...vars };
+  globalThis.caches ??= proxy.caches;
+
+  return {
+    env,
+    db: createDatabase(env),
+
+    // Resolves once the response and everything it handed to waitUntil are done
+    async fetch(path, { token, json, headers = {}, ...init } = {}) {
+      const requestHeaders = new Headers(headers);
+      if (token) requestHeaders.set('Authorization', `Bearer ${token}`);
+      if (json !== undefined) requestHeaders.set('Content-Type', 'application/json');
+      const request = new Request(new URL(path, 'http://worker.test'), {
+        ...init,
+        headers: requestHeaders,
+        body: json !== undefined ? JSON.stringify(json) : init.body
+      });
+
+      const background = [];
+      const ctx = { waitUntil: promise => background.push(promise), passThroughOnException() {} };
+      const response = await worker.fetch(request, env, ctx);
+      await Promise.allSettled(background);
+      return response;
+    },
+
+    async token(claims) {
+      return await signToken(claims, env.JWT_SECRET);
+    },
+
+    dispose: () => proxy.dispose()
+  };
+}
+
+export async function signToken(claims, secret) {
+  const segment = value => toBase64Url(encoder.encode(JSON.stringify(value)));
+  const body = `${segment({ alg: 'HS256', typ: 'JWT' })}.${segment({ exp: Math.floor(Date.now() / 1000) + 3600, ...claims })}`;
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(body)));
+  return `${body}.${toBase64Url(signature)}`;
+}
@@ -0,0 +1,150 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { imageVersion, mediaUrl, readImageSize, sniffImageFormat } from '../src/media.js';
+import { startWorker } from './helpers/worker.js';
+
+// A 1x1 PNG
+const PIXEL = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+const pixelBytes = () => Uint8Array.from(atob(PIXEL), c => c.charCodeAt(0));
+
+// === IMAGE HEADERS ===
+test('formats and sizes are read from the image bytes', () => {
+  const bytes = pixelBytes();
+  assert.equal(sniffImageFormat(bytes), 'png');
+  assert.deepEqual(readImageSize(bytes, 'png'), { width: 1, height: 1 });
+  assert.equal(sniffImageFormat(new TextEncoder().encode('<svg></svg>')), null);
+});
+
+// === VERSIONS ===
+test('stored versions are used instead of hashing the image', async () => {
+  const value = `data:image/png;base64,${PIXEL}`;
+  const version = await imageVersion(value);
+  assert.match(version, /^[0-9a-f]{16}$/);
+  assert.equal(await mediaUrl(value, 'posts', 'p01'), `/v1/media/posts/p01?v=${version}`);
+  assert.equal(await mediaUrl(value, 'posts', 'p01', '', 'stored'), '/v1/media/posts/p01?v=stored');
+});
+
+test('external URLs and uploads have no version', async () => {
+  assert.equal(await imageVersion('https://cdn.example.com/a.jpg'), null);
+  assert.equal(await imageVersion('r2:0123456789abcdef01234567.png'), null);
+  assert.equal(await imageVersion(null), null);
+});
+
+test('uploads are linked through the post or avatar that uses them', async () => {
+  const url = await mediaUrl('r2:0123456789abcdef01234567.png', 'posts', 'p01');
+  assert.match(url, /^\/v1\/media\/posts\/p01\?v=[0-9a-f]{16}$/);
+  assert.doesNotMatch(url, /uploads/);
+});
+
+// === VISIBILITY ===
+let worker;
+let tokens;
+before(async () => {
+  worker = await startWorker({ vars: { MEDIA_REDIRECT_HOSTS: 'cdn.example.com' } });
+  tokens = {
+    admin: await worker.token({ sub: 'alice', role: 'admin' }),
+    bob: await worker.token({ sub: 'bob' }),
+    carol: await worker.token({ sub: 'carol' })
+  };
+  await worker.db.execute('UPDATE posts SET photo = ? WHERE _id IN (?, ?, ?)', [`data:image/png;base64,${PIXEL}`, 'p01', 'p02', 'p03']);
+  await worker.db.execute("UPDATE posts SET status = 'hidden' WHERE _id = ?", ['p01']);
+  await worker.db.execute("UPDATE posts SET status = 'removed' WHERE _id = ?", ['p02']);
+  await worker.db.execute('UPDATE users SET profile_picture = ? WHERE username IN (?, ?)', [PIXEL, 'dave', 'erin']);
+  await worker.db.execute("UPDATE users SET banned_at = datetime('now') WHERE username = ?", ['dave']);
+  await worker.db.execute('UPDATE posts SET photo = ? WHERE _id = ?', ['https://cdn.example.com/ride.jpg', 'p06']);
+  await worker.db.execute('UPDATE posts SET photo = ? WHERE _id = ?', ['https://evil.example/phish', 'p05']);
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+test('photos of visible posts are public', async () => {
+  const response = await worker.fetch('/v1/media/posts/p03');
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('Content-Type'), 'image/png');
+  assert.match(response.headers.get('Cache-Control'), /^public/);
+});
+
+test('photos of hidden posts are served only to their author and admins, privately', async () => {
+  assert.equal((await worker.fetch('/v1/media/posts/p01')).status, 404);
+  assert.equal((await worker.fetch('/v1/media/posts/p01', { token: tokens.carol })).status, 404);
+
+  const author = await worker.fetch('/v1/media/posts/p01', { token: tokens.bob });
+  assert.equal(author.status, 200);
+  assert.match(author.headers.get('Cache-Control'), /^private/);
+  assert.equal((await worker.fetch('/v1/media/posts/p01', { token: tokens.admin })).status, 200);
+});
+
+test('photos of removed posts are served only to admins', async () => {
+  assert.equal((await worker.fetch('/v1/media/posts/p02', { token: tokens.carol })).status, 404);
+  assert.equal((await worker.fetch('/v1/media/posts/p02', { token: tokens.admin })).status, 200);
+});
+
+test('avatars of banned users are served only to admins', async () => {
+  assert.equal((await worker.fetch('/v1/media/avatars/erin')).status, 200);
+  assert.equal((await worker.fetch('/v1/media/avatars/dave')).status, 404);
+  const admin = await worker.fetch('/v1/media/avatars/dave', { token: tokens.admin });
+  assert.equal(admin.status, 200);
+  assert.match(admin.headers.get('Cache-Control'), /^private/);
+});
+
+// === REDIRECTS AND UPLOADS ===
+test('only our own media hosts are redirected to', async () => {
+  const own = await worker.fetch('/v1/media/posts/p06', { redirect: 'manual' });
+  assert.equal(own.status, 302);
+  assert.equal(own.headers.get('Location'), 'https://cdn.example.com/ride.jpg');
+  assert.equal((await worker.fetch('/v1/media/posts/p05', { redirect: 'manual' })).status, 404);
+});
+
+test('a posted image is hashed once and served under that version', async () => {
+  const photo = `data:image/png;base64,${PIXEL}`;
+  const response = await worker.fetch('/v1/posts', { method: 'POST', token: tokens.carol, json: { message: 'Skyline', photo } });
+  assert.equal(response.status, 201);
+  const post = await response.json();
+
+  const { rows } = await worker.db.execute('SELECT photo_version FROM posts WHERE _id = ?', [post._id]);
+  assert.equal(rows[0].photo_version, await imageVersion(photo));
+  assert.equal(post.photo, `/v1/media/posts/${post._id}?v=${rows[0].photo_version}`);
+
+  const image = await worker.fetch(post.photo);
+  assert.equal(image.status, 200);
+  assert.equal(image.headers.get('ETag'), `"${rows[0].photo_version}"`);
+  assert.equal(image.headers.get('Cache-Control'), 'public, max-age=300');
+
+  const edited = await worker.fetch(`/v1/posts/${post._id}`, { method: 'PATCH', token: tokens.carol, json: { photo: 'https://cdn.example.com/new.jpg' } });
+  assert.equal(edited.status, 200);
+  const cleared = await worker.db.execute('SELECT photo_version FROM posts WHERE _id = ?', [post._id]);
+  assert.equal(cleared.rows[0].photo_version, null);
+});
+
+test('uploaded photos are served through their post, so moderation applies', async () => {
+  const uploaded = await worker.fetch('/v1/media', { method: 'POST', token: tokens.carol, body: pixelBytes() });
+  assert.equal(uploaded.status, 201);
+  const upload = await uploaded.json();
+
+  const created = await worker.fetch('/v1/posts', { method: 'POST', token: tokens.carol, json: { message: 'Harbour', uploadId: upload.id } });
+  assert.equal(created.status, 201);
+  const post = await created.json();
+  assert.match(post.photo, new RegExp(`^/v1/media/posts/${post._id}\\?v=`));
+
+  const image = await worker.fetch(post.photo);
+  assert.equal(image.status, 200);
+  assert.equal(image.headers.get('Content-Type'), 'image/png');
+  assert.equal(image.headers.get('Cache-Control'), 'public, max-age=300');
+
+  await worker.db.execute("UPDATE posts SET status = 'removed' WHERE _id = ?", [post._id]);
+  assert.equal((await worker.fetch(post.photo)).status, 404);
+  assert.equal((await worker.fetch(post.photo, { token: tokens.bob })).status, 404);
+});
+
+test('the uploads URL is a private preview for the uploader', async () => {
+  const uploaded = await worker.fetch('/v1/media', { method: 'POST', token: tokens.carol, body: pixelBytes() });
+  const { url } = await uploaded.json();
+
+  assert.equal((await worker.fetch(url)).status, 404);
+  assert.equal((await worker.fetch(url, { token: tokens.bob })).status, 404);
+  const own = await worker.fetch(url, { token: tokens.carol });
+  assert.equal(own.status, 200);
+  assert.equal(own.headers.get('Cache-Control'), 'private, max-age=300');
+  assert.equal((await worker.fetch(url, { token: tokens.admin })).status, 200);
+});
@@ -0,0 +1,138 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canView } from '../src/moderation.js';
+import { startWorker } from './helpers/worker.js';
+
+// === VISIBILITY ===
+test('hidden posts are readable by their author and admins only', () => {
+  const post = { username: 'bob', status: 'hidden' };
+  assert.equal(canView(post, null), false);
+  assert.equal(canView(post, { userId: 'carol' }), false);
+  assert.equal(canView(post, { userId: 'bob' }), true);
+  assert.equal(canView(post, { userId: 'carol', isAdmin: true }), true);
+});
+
+test('removed posts are readable by admins only', () => {
+  const post = { username: 'bob', status: 'removed' };
+  assert.equal(canView(post, { userId: 'bob' }), false);
+  assert.equal(canView(post, { userId: 'carol', isAdmin: true }), true);
+  assert.equal(canView({ username: 'bob' }, null), true);
+});
+
+// === STATE CHANGES ===
+let worker;
+let tokens;
+before(async () => {
+  worker = await startWorker({ vars: { MODERATION_AUTO_HIDE_REPORTS: '2' } });
+  tokens = {
+    admin: await worker.token({ sub: 'alice', role: 'admin' }),
+    bob: await worker.token({ sub: 'bob' }),
+    carol: await worker.token({ sub: 'carol' }),
+    dave: await worker.token({ sub: 'dave' })
+  };
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+async function postStatus(postId) {
+  const { rows } = await worker.db.execute('SELECT status FROM posts WHERE _id = ?', [postId]);
+  return rows[0].status;
+}
+
+async function createPost(token, message) {
+  const response = await worker.fetch('/v1/posts', { method: 'POST', token, json: { message } });
+  assert.equal(response.status, 201);
+  return (await response.json())._id;
+}
+
+async function moderate(postId, action) {
+  const response = await worker.fetch(`/v1/admin/posts/${postId}/moderation`, { method: 'POST', token: tokens.admin, json: { action } });
+  assert.equal(response.status, 200);
+  return await response.json();
+}
+
+async function editPost(postId, message) {
+  const response = await worker.fetch(`/v1/posts/${postId}`, { method: 'PATCH', token: tokens.bob, json: { message } });
+  assert.equal(response.status, 200);
+}
+
+test('enough reports hide a post until a moderator restores it', async () => {
+  const postId = await createPost(tokens.bob, 'Trail conditions are great this week');
+  const report = token => worker.fetch(`/v1/posts/${postId}/report`, { method: 'POST', token, json: { reason: 'spam' } });
+
+  assert.equal((await report(tokens.carol)).status, 202);
+  assert.equal((await report(tokens.carol)).status, 202);
+  assert.equal(await postStatus(postId), 'visible');
+  await report(tokens.dave);
+  assert.equal(await postStatus(postId), 'hidden');
+  assert.equal((await worker.fetch(`/v1/posts/${postId}`, { token: tokens.carol })).status, 404);
+
+  assert.deepEqual(await moderate(postId, 'restore'), { postId, status: 'visible', resolvedReports: 2 });
+  assert.equal((await worker.fetch(`/v1/posts/${postId}`, { token: tokens.carol })).status, 200);
+});
+
+test('concurrent duplicate reports are accepted and counted once', async () => {
+  const postId = await createPost(tokens.bob, 'Weekend market opening hours');
+  const responses = await Promise.all([1, 2, 3, 4].map(() =>
+    worker.fetch(`/v1/posts/${postId}/report`, { method: 'POST', token: tokens.carol, json: { reason: 'spam' } })));
+  assert.deepEqual(responses.map(response => response.status), [202, 202, 202, 202]);
+
+  const { rows } = await worker.db.execute('SELECT COUNT(*) AS count FROM post_reports WHERE post_id = ?', [postId]);
+  assert.equal(Number(rows[0].count), 1);
+  // One reporter never reaches the auto-hide threshold of two on their own
+  assert.equal(await postStatus(postId), 'visible');
+});
+
+test('removed posts drop out for everyone but admins', async () => {
+  const postId = await createPost(tokens.bob, 'Selling my old bike');
+  await moderate(postId, 'remove');
+  assert.equal(await postStatus(postId), 'removed');
+  assert.equal((await worker.fetch(`/v1/posts/${postId}`, { token: tokens.bob })).status, 404);
+  assert.equal((await worker.fetch(`/v1/posts/${postId}`, { token: tokens.admin })).status, 200);
+});
+
+test('a filtered post goes to the queue hidden', async () => {
+  const postId = await createPost(tokens.bob, 'Get FREE crypto now');
+  assert.equal(await postStatus(postId), 'hidden');
+
+  const response = await worker.fetch('/v1/admin/reports', { token: tokens.admin });
+  const { reports } = await response.json();
+  assert.deepEqual(reports.find(entry => entry.postId === postId).reasons, { filter: 1 });
+});
+
+test('a filtered edit after a restore reopens the filter report', async () => {
+  const postId = await createPost(tokens.bob, 'Get free crypto now');
+  await moderate(postId, 'restore');
+  await editPost(postId, 'Nothing to see here');
+  assert.equal(await postStatus(postId), 'visible');
+
+  await editPost(postId, 'Free   crypto, once more');
+  assert.equal(await postStatus(postId), 'hidden');
+
+  const reports = await (await worker.fetch(`/v1/admin/posts/${postId}/reports`, { token: tokens.admin })).json();
+  assert.equal(reports.reports.length, 1);
+  assert.deepEqual(
+    { ...reports.reports[0], id: undefined, createdAt: undefined },
+    {
+      id: undefined,
+      reporter: 'system',
+      reason: 'filter',
+      details: 'Matched /free\\s+crypto/i',
+      status: 'open',
+      createdAt: undefined,
+      resolvedBy: null,
+      resolution: null,
+      resolvedAt: null
+    }
+  );
+});
+
+test('banned users cannot post or report', async () => {
+  assert.equal((await worker.fetch('/v1/admin/users/dave/ban', { method: 'PUT', token: tokens.admin })).status, 200);
+  const created = await worker.fetch('/v1/posts', { method: 'POST', token: tokens.dave, json: { message: 'Hello again' } });
+  assert.equal(created.status, 403);
+  const reported = await worker.fetch('/v1/posts/p01/report', { method: 'POST', token: tokens.dave, json: { reason: 'spam' } });
+  assert.equal(reported.status, 403);
+  assert.equal((await worker.fetch('/v1/admin/users/dave/ban', { method: 'DELETE', token: tokens.admin })).status, 200);
+});
@@ -0,0 +1,110 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startWorker } from './helpers/worker.js';
+
+let worker;
+let tokens;
+before(async () => {
+  worker = await startWorker();
+  tokens = {
+    alice: await worker.token({ sub: 'alice' }),
+    bob: await worker.token({ sub: 'bob' }),
+    carol: await worker.token({ sub: 'carol' }),
+    dave: await worker.token({ sub: 'dave' }),
+    erin: await worker.token({ sub: 'erin' })
+  };
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+async function inbox(token, params = {}) {
+  const response = await worker.fetch(`/v1/notifications?${new URLSearchParams(params)}`, { token });
+  assert.equal(response.status, 200);
+  return await response.json();
+}
+
+async function createPost(token, message) {
+  const response = await worker.fetch('/v1/posts', { method: 'POST', token, json: { message } });
+  assert.equal(response.status, 201);
+  return (await response.json())._id;
+}
+
+const like = (postId, token, method = 'PUT') => worker.fetch(`/v1/posts/${postId}/like`, { method, token });
+
+async function markRead(token, json) {
+  const response = await worker.fetch('/v1/notifications/read', { method: 'POST', token, json });
+  assert.equal(response.status, 200);
+  return (await response.json()).unreadCount;
+}
+
+// === GROUPING ===
+test('likes on one post collapse into one entry naming the latest actors', async () => {
+  const postId = await createPost(tokens.bob, 'Hill repeats done');
+  const likeGroup = async () => (await inbox(tokens.bob)).notifications.find(entry => entry.type === 'like' && entry.postId === postId);
+
+  await like(postId, tokens.carol);
+  assert.equal((await likeGroup()).text, 'carol liked your post');
+  await like(postId, tokens.dave);
+  assert.equal((await likeGroup()).text, 'dave and carol liked your post');
+  await like(postId, tokens.erin);
+  // Liking again after an unlike does not count the same person twice
+  await like(postId, tokens.carol, 'DELETE');
+  await like(postId, tokens.carol);
+
+  const group = await likeGroup();
+  assert.equal(group.text, 'erin and 2 others liked your post');
+  assert.equal(group.actorCount, 3);
+  assert.deepEqual(group.actors.map(actor => actor.username), ['erin', 'dave', 'carol']);
+  assert.equal(group.read, false);
+});
+
+test('mentions are listed one by one; own actions and blocked users notify nobody', async () => {
+  await worker.fetch('/v1/notifications/read', { method: 'POST', token: tokens.dave, json: {} });
+  const first = await createPost(tokens.carol, 'Ask @dave about the novel');
+  const second = await createPost(tokens.carol, '@dave @nobody-here the draft is out');
+  const mentions = (await inbox(tokens.dave)).notifications.filter(entry => entry.type === 'mention');
+  assert.deepEqual(mentions.map(entry => entry.postId).sort(), [first, second].sort());
+  assert.ok(mentions.every(entry => entry.text === 'carol mentioned you in a post'));
+
+  const own = await createPost(tokens.dave, 'Notes to self');
+  await like(own, tokens.dave);
+  await worker.fetch('/v1/users/dave/block', { method: 'PUT', token: tokens.erin });
+  await createPost(tokens.erin, 'Hey @dave');
+  assert.equal((await inbox(tokens.dave)).unreadCount, 2);
+});
+
+// === READ STATE ===
+test('groups are marked read by id or all at once', async () => {
+  const postId = await createPost(tokens.alice, 'Espresso tasting on Friday');
+  await like(postId, tokens.carol);
+  await worker.fetch(`/v1/posts/${postId}/heart`, { method: 'PUT', token: tokens.carol });
+
+  const before = await inbox(tokens.alice);
+  const likeGroup = before.notifications.find(entry => entry.type === 'like' && entry.postId === postId);
+  assert.equal(await markRead(tokens.alice, { ids: [likeGroup.id] }), before.unreadCount - 1);
+  const after = await inbox(tokens.alice);
+  assert.equal(after.notifications.find(entry => entry.id === likeGroup.id).read, true);
+
+  // New activity after reading starts a fresh unread entry instead of reviving the read one
+  await like(postId, tokens.dave);
+  const likes = (await inbox(tokens.alice)).notifications.filter(entry => entry.type === 'like' && entry.postId === postId);
+  assert.equal(likes.length, 2);
+  assert.deepEqual(likes.map(entry => entry.read).sort(), [false, true]);
+
+  assert.equal(await markRead(tokens.alice, {}), 0);
+  assert.ok((await inbox(tokens.alice)).notifications.every(entry => entry.read));
+});
+
+test('the inbox pages with a cursor that belongs to its owner', async () => {
+  const all = await inbox(tokens.dave);
+  assert.ok(all.notifications.length > 1);
+
+  const first = await inbox(tokens.dave, { limit: '1' });
+  assert.equal(first.hasMore, true);
+  const second = await inbox(tokens.dave, { limit: '1', cursor: first.nextCursor });
+  assert.deepEqual([...first.notifications, ...second.notifications].map(entry => entry.id), all.notifications.slice(0, 2).map(entry => entry.id));
+
+  const stolen = await worker.fetch(`/v1/notifications?cursor=${first.nextCursor}`, { token: tokens.carol });
+  assert.equal(stolen.status, 400);
+});
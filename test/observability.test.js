@@ -0,0 +1,141 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startWorker } from './helpers/worker.js';
+
+// Stands in for the FEED_METRICS Analytics Engine dataset
+const dataPoints = [];
+const metrics = { writeDataPoint: point => dataPoints.push(point) };
+
+let worker;
+let tokens;
+before(async () => {
+  worker = await startWorker({ vars: { FEED_METRICS: metrics } });
+  tokens = {
+    admin: await worker.token({ sub: 'alice', role: 'admin' }),
+    erin: await worker.token({ sub: 'erin' })
+  };
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+// The JSON log lines written while run() is going, parsed
+async function captureLogs(t, run) {
+  const lines = [];
+  for (const method of ['log', 'warn', 'error']) {
+    t.mock.method(console, method, line => lines.push(JSON.parse(line)));
+  }
+  const result = await run();
+  t.mock.restoreAll();
+  return { result, lines };
+}
+
+// === REQUEST IDS ===
+test('the edge ray id is the request id on the response and in the request log', async t => {
+  const { result: response, lines } = await captureLogs(t, () => worker.fetch('/v1/posts/p01', { headers: { 'CF-Ray': '8c2f1a7b9d3e4f56-LHR' } }));
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('X-Request-Id'), '8c2f1a7b9d3e4f56-LHR');
+  assert.match(response.headers.get('Access-Control-Expose-Headers'), /X-Request-Id/);
+
+  const handled = lines.find(line => line.message === 'Request handled');
+  assert.equal(handled.requestId, '8c2f1a7b9d3e4f56-LHR');
+  assert.equal(handled.path, '/v1/posts/p01');
+  assert.equal(handled.status, 200);
+  assert.ok(handled.queries.count > 0);
+});
+
+test('requests without a ray id get a fresh one each', async () => {
+  const first = (await worker.fetch('/v1/posts/p01')).headers.get('X-Request-Id');
+  const second = (await worker.fetch('/v1/posts/p01')).headers.get('X-Request-Id');
+  assert.match(first, /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+  assert.notEqual(first, second);
+});
+
+test('a failing route answers 500 with only the request id, and logs the error under it', async t => {
+  const { DB } = worker.env;
+  worker.env.DB = { prepare: () => { throw new Error('no such column: secret_column'); } };
+  let captured;
+  try {
+    captured = await captureLogs(t, () => worker.fetch('/v1/posts/p01'));
+  } finally {
+    worker.env.DB = DB;
+  }
+
+  const { result: response, lines } = captured;
+  assert.equal(response.status, 500);
+  const requestId = response.headers.get('X-Request-Id');
+  const { error } = await response.json();
+  assert.equal(error.code, 'internal_error');
+  assert.deepEqual(error.details, { requestId });
+  assert.doesNotMatch(JSON.stringify(error), /secret_column/);
+
+  const failed = lines.find(line => line.message === 'Route failed');
+  assert.equal(failed.level, 'error');
+  assert.equal(failed.requestId, requestId);
+  assert.equal(failed.error.message, 'no such column: secret_column');
+  assert.equal(lines.find(line => line.message === 'Request handled').level, 'error');
+});
+
+// === METRICS ===
+test('feed counters reach the metrics dataset once per request', async () => {
+  dataPoints.length = 0;
+  // erin follows nobody and has no friends, so those buckets fall back
+  const response = await worker.fetch('/v1/feed', { token: tokens.erin });
+  assert.equal(response.status, 200);
+
+  const fallback = dataPoints.filter(point => point.indexes[0] === 'bucket_fallback');
+  assert.deepEqual(fallback.map(point => point.blobs).sort(), [
+    ['bucket_fallback', 'following', 'no_following'],
+    ['bucket_fallback', 'friends', 'no_friends']
+  ]);
+  assert.ok(fallback.every(point => point.doubles[0] > 0));
+  for (const point of dataPoints) {
+    assert.equal(point.blobs.length, 3);
+    assert.equal(typeof point.doubles[0], 'number');
+  }
+
+  // Nothing carries over into the next request
+  dataPoints.length = 0;
+  await worker.fetch('/v1/posts/p01');
+  assert.deepEqual(dataPoints, []);
+});
+
+test('a broken metrics dataset is logged and does not fail the request', async t => {
+  const { writeDataPoint } = metrics;
+  metrics.writeDataPoint = () => { throw new Error('dataset unavailable'); };
+  let captured;
+  try {
+    captured = await captureLogs(t, () => worker.fetch('/v1/feed', { token: tokens.erin }));
+  } finally {
+    metrics.writeDataPoint = writeDataPoint;
+  }
+  assert.equal(captured.result.status, 200);
+  assert.ok(captured.lines.some(line => line.message === 'Error writing metric' && line.error.message === 'dataset unavailable'));
+});
+
+// === FEED DEBUG ===
+test('admins get the timing breakdown of a feed with debug=true', async () => {
+  const response = await worker.fetch('/v1/feed?debug=true&userId=erin', { token: tokens.admin });
+  assert.equal(response.status, 200);
+  const { debug } = await response.json();
+  assert.equal(debug.requestId, response.headers.get('X-Request-Id'));
+  assert.ok(debug.totalMs >= 0);
+
+  const stages = debug.stages.map(stage => stage.stage);
+  for (const stage of ['user', 'history', 'config', 'composition', 'enrich']) {
+    assert.ok(stages.includes(stage), `missing stage ${stage}`);
+  }
+  assert.ok(stages.some(stage => stage.startsWith('bucket:')));
+  assert.ok(debug.queries.count >= debug.queries.slowest.length);
+  assert.ok(debug.queries.slowest.every(query => typeof query.sql === 'string' && typeof query.ms === 'number'));
+  const fallback = debug.counters.find(counter => counter.metric === 'bucket_fallback' && counter.bucket === 'following');
+  assert.equal(fallback.reason, 'no_following');
+  assert.ok(fallback.value > 0);
+});
+
+test('debug is ignored for everyone else', async () => {
+  const own = await (await worker.fetch('/v1/feed?debug=true', { token: tokens.erin })).json();
+  assert.equal(own.debug, undefined);
+  const plain = await (await worker.fetch('/v1/feed', { token: tokens.admin })).json();
+  assert.equal(plain.debug, undefined);
+});
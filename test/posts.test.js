@@ -0,0 +1,102 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startWorker } from './helpers/worker.js';
+
+let worker;
+let tokens;
+before(async () => {
+  worker = await startWorker();
+  tokens = {
+    admin: await worker.token({ sub: 'alice', role: 'admin' }),
+    bob: await worker.token({ sub: 'bob' }),
+    carol: await worker.token({ sub: 'carol' }),
+    dave: await worker.token({ sub: 'dave' })
+  };
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+async function createPost(token, json) {
+  const response = await worker.fetch('/v1/posts', { method: 'POST', token, json });
+  assert.equal(response.status, 201);
+  return await response.json();
+}
+
+const react = (postId, kind, method, token) => worker.fetch(`/v1/posts/${postId}/${kind}`, { method, token });
+
+// === WRITES ===
+test('a post is created for the signed-in user with normalized tags', async () => {
+  const post = await createPost(tokens.bob, { message: 'Gravel ride on Sunday', tags: ['Cycling', 'cycling', 'gravel'], category: 'sports' });
+  assert.match(post._id, /^[0-9a-f]{24}$/);
+  assert.equal(post.username, 'bob');
+  assert.deepEqual(post.tags, ['cycling', 'gravel']);
+  assert.equal(post.likes, 0);
+  const { rows } = await worker.db.execute('SELECT categories FROM posts WHERE _id = ?', [post._id]);
+  assert.equal(rows[0].categories, 'Sports');
+});
+
+test('posts need a message or photo, and known categories', async () => {
+  const empty = await worker.fetch('/v1/posts', { method: 'POST', token: tokens.bob, json: { message: '   ' } });
+  assert.equal(empty.status, 400);
+  const unknown = await worker.fetch('/v1/posts', { method: 'POST', token: tokens.bob, json: { message: 'Hi', category: 'gardening' } });
+  assert.equal(unknown.status, 400);
+  assert.equal((await unknown.json()).error.details[0].field, 'category');
+  const anonymous = await worker.fetch('/v1/posts', { method: 'POST', json: { message: 'Hi' } });
+  assert.equal(anonymous.status, 401);
+});
+
+test('only the author or an admin may edit or delete a post', async () => {
+  const { _id } = await createPost(tokens.bob, { message: 'Draft' });
+
+  const byCarol = await worker.fetch(`/v1/posts/${_id}`, { method: 'PATCH', token: tokens.carol, json: { message: 'Mine now' } });
+  assert.equal(byCarol.status, 403);
+  const byBob = await worker.fetch(`/v1/posts/${_id}`, { method: 'PATCH', token: tokens.bob, json: { message: 'Final' } });
+  assert.equal(byBob.status, 200);
+  assert.equal((await byBob.json()).message, 'Final');
+
+  assert.equal((await worker.fetch(`/v1/posts/${_id}`, { method: 'DELETE', token: tokens.carol })).status, 403);
+  assert.equal((await worker.fetch(`/v1/posts/${_id}`, { method: 'DELETE', token: tokens.admin })).status, 204);
+  assert.equal((await worker.fetch(`/v1/posts/${_id}`)).status, 404);
+});
+
+// === REACTIONS ===
+test('liking twice counts once and unliking twice removes it once', async () => {
+  const { _id } = await createPost(tokens.bob, { message: 'Sunrise over the lake' });
+
+  for (let i = 0; i < 2; i++) {
+    const response = await react(_id, 'like', 'PUT', tokens.carol);
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { _id, liked: true, hearted: false, likes: 1, hearts: 0 });
+  }
+  await react(_id, 'like', 'PUT', tokens.dave);
+  for (let i = 0; i < 2; i++) {
+    const response = await react(_id, 'like', 'DELETE', tokens.carol);
+    assert.deepEqual(await response.json(), { _id, liked: false, hearted: false, likes: 1, hearts: 0 });
+  }
+
+  const { rows } = await worker.db.execute('SELECT likes, likedBy FROM posts WHERE _id = ?', [_id]);
+  assert.equal(Number(rows[0].likes), 1);
+  assert.deepEqual(JSON.parse(rows[0].likedBy), ['dave']);
+});
+
+test('likes and hearts are independent', async () => {
+  const { _id } = await createPost(tokens.bob, { message: 'New bike day' });
+  await react(_id, 'heart', 'PUT', tokens.carol);
+  const response = await react(_id, 'like', 'PUT', tokens.carol);
+  assert.deepEqual(await response.json(), { _id, liked: true, hearted: true, likes: 1, hearts: 1 });
+});
+
+test('concurrent likes from different users are all counted', async () => {
+  const { _id } = await createPost(tokens.bob, { message: 'Race results are in' });
+  const responses = await Promise.all([tokens.carol, tokens.dave, tokens.admin].map(token => react(_id, 'like', 'PUT', token)));
+  assert.ok(responses.every(response => response.status === 200));
+
+  const { rows } = await worker.db.execute('SELECT likes, likedBy FROM posts WHERE _id = ?', [_id]);
+  assert.equal(Number(rows[0].likes), 3);
+  assert.deepEqual(JSON.parse(rows[0].likedBy).sort(), ['alice', 'carol', 'dave']);
+});
+
+test('reactions on missing posts are 404s', async () => {
+  assert.equal((await react('nope', 'like', 'PUT', tokens.carol)).status, 404);
+});
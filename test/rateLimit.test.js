@@ -0,0 +1,107 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_RATE_LIMITS, RateLimiter, loadRateLimits, rateLimitHeaders } from '../src/rateLimit.js';
+import { startWorker } from './helpers/worker.js';
+
+function memoryState() {
+  const values = new Map();
+  const state = {
+    alarm: null,
+    blockConcurrencyWhile: run => run(),
+    storage: {
+      get: async key => values.get(key),
+      put: async (key, value) => { values.set(key, value); },
+      setAlarm: async time => { state.alarm = time; },
+      deleteAll: async () => { values.clear(); }
+    }
+  };
+  return state;
+}
+
+// A RATE_LIMITER binding backed by in-memory RateLimiter instances, one per name
+function memoryNamespace() {
+  const objects = new Map();
+  return {
+    idFromName: name => name,
+    get(id) {
+      if (!objects.has(id)) objects.set(id, new RateLimiter(memoryState()));
+      const limiter = objects.get(id);
+      return { fetch: (url, init) => limiter.fetch(new Request(url, init)) };
+    }
+  };
+}
+
+async function consume(limiter, policy) {
+  const response = await limiter.fetch(new Request('https://rate-limiter/consume', { method: 'POST', body: JSON.stringify(policy) }));
+  return await response.json();
+}
+
+// === POLICIES ===
+test('RATE_LIMITS overrides single policies and skips invalid ones', () => {
+  const limits = loadRateLimits({ RATE_LIMITS: '{"feed":{"capacity":5.9,"perMinute":5},"read":{"capacity":0}}' });
+  assert.deepEqual(limits.feed, { capacity: 5, perMinute: 5 });
+  assert.deepEqual(limits.read, DEFAULT_RATE_LIMITS.read);
+  assert.equal(loadRateLimits({ RATE_LIMITS: 'not json' }), DEFAULT_RATE_LIMITS);
+});
+
+test('headers describe the bucket and add Retry-After once it is empty', () => {
+  const policy = { capacity: 20, perMinute: 10 };
+  assert.deepEqual(rateLimitHeaders({ allowed: true, remaining: 4, resetSeconds: 90, retryAfterSeconds: 0, policy }), {
+    'RateLimit-Limit': '20',
+    'RateLimit-Remaining': '4',
+    'RateLimit-Reset': '90',
+    'RateLimit-Policy': '20;w=120'
+  });
+  assert.equal(rateLimitHeaders({ allowed: false, remaining: 0, resetSeconds: 120, retryAfterSeconds: 6, policy })['Retry-After'], '6');
+});
+
+// === TOKEN BUCKET ===
+test('a bucket allows its capacity and then refuses', async () => {
+  const limiter = new RateLimiter(memoryState());
+  const policy = { capacity: 3, perMinute: 60 };
+  const results = [];
+  for (let i = 0; i < 4; i++) results.push(await consume(limiter, policy));
+
+  assert.deepEqual(results.map(result => result.allowed), [true, true, true, false]);
+  assert.equal(results[2].remaining, 0);
+  assert.equal(results[3].retryAfterSeconds, 1);
+});
+
+test('an emptied bucket refills over time', async () => {
+  const state = memoryState();
+  const limiter = new RateLimiter(state);
+  const policy = { capacity: 1, perMinute: 60 };
+  assert.equal((await consume(limiter, policy)).allowed, true);
+  assert.equal((await consume(limiter, policy)).allowed, false);
+
+  limiter.bucket = { ...limiter.bucket, updatedAt: limiter.bucket.updatedAt - 1000 };
+  assert.equal((await consume(limiter, policy)).allowed, true);
+  assert.ok(state.alarm > Date.now());
+});
+
+// === ROUTER ===
+let worker;
+before(async () => {
+  worker = await startWorker({
+    vars: { RATE_LIMITER: memoryNamespace(), RATE_LIMITS: '{"read":{"capacity":2,"perMinute":1}}' }
+  });
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+test('callers over their limit get 429 with Retry-After', async () => {
+  const headers = { 'CF-Connecting-IP': '203.0.113.7' };
+  const first = await worker.fetch('/v1/categories', { headers });
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('RateLimit-Remaining'), '1');
+  assert.equal((await worker.fetch('/v1/categories', { headers })).status, 200);
+
+  const limited = await worker.fetch('/v1/categories', { headers });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('Retry-After'), '60');
+  assert.equal((await limited.json()).error.code, 'rate_limited');
+
+  // Other callers have their own buckets
+  assert.equal((await worker.fetch('/v1/categories', { headers: { 'CF-Connecting-IP': '203.0.113.8' } })).status, 200);
+});
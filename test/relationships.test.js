@@ -0,0 +1,113 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startWorker } from './helpers/worker.js';
+
+let worker;
+let tokens;
+before(async () => {
+  worker = await startWorker();
+  tokens = {
+    alice: await worker.token({ sub: 'alice' }),
+    bob: await worker.token({ sub: 'bob' }),
+    carol: await worker.token({ sub: 'carol' }),
+    dave: await worker.token({ sub: 'dave' }),
+    erin: await worker.token({ sub: 'erin' })
+  };
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+async function act(token, username, action, method = 'PUT') {
+  return await worker.fetch(`/v1/users/${username}/${action}`, { method, token });
+}
+
+async function rows(a, b) {
+  const result = await worker.db.execute(
+    'SELECT follower, following, relationship_status FROM follows WHERE (follower = ? AND following = ?) OR (follower = ? AND following = ?) ORDER BY follower',
+    [a, b, b, a]
+  );
+  return result.rows.map(row => `${row.follower}->${row.following}:${row.relationship_status}`);
+}
+
+// === FOLLOWS AND FRIENDS ===
+test('following is idempotent and unfollowing removes it', async () => {
+  for (let i = 0; i < 2; i++) {
+    const response = await act(tokens.erin, 'dave', 'follow');
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.following, true);
+    assert.equal(body.friends, false);
+  }
+  assert.deepEqual(await rows('erin', 'dave'), ['erin->dave:none']);
+
+  const unfollowed = await (await act(tokens.erin, 'dave', 'follow', 'DELETE')).json();
+  assert.equal(unfollowed.following, false);
+  assert.deepEqual(await rows('erin', 'dave'), []);
+});
+
+test('concurrent follows leave one row', async () => {
+  const responses = await Promise.all([1, 2, 3].map(() => act(tokens.carol, 'dave', 'follow')));
+  assert.ok(responses.every(response => response.status === 200));
+  assert.deepEqual(await rows('carol', 'dave'), ['carol->dave:none']);
+  await act(tokens.carol, 'dave', 'follow', 'DELETE');
+});
+
+test('following a friend who sent the request keeps the friendship as it is', async () => {
+  // alice -> bob is an accepted friendship, so bob already follows alice
+  const response = await act(tokens.bob, 'alice', 'follow');
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.friends, true);
+  assert.equal(body.requestSent, false);
+  assert.deepEqual(await rows('alice', 'bob'), ['alice->bob:accepted']);
+});
+
+test('a friend request is accepted by its recipient', async () => {
+  const received = await (await worker.fetch('/v1/users/dave/requests', { token: tokens.dave })).json();
+  assert.deepEqual(received.requests.map(user => user.username), ['bob']);
+
+  const accepted = await worker.fetch('/v1/users/bob/friend/accept', { method: 'POST', token: tokens.dave });
+  assert.equal(accepted.status, 200);
+  assert.equal((await accepted.json()).friends, true);
+  assert.equal((await worker.fetch('/v1/users/bob/friend/accept', { method: 'POST', token: tokens.dave })).status, 404);
+
+  const friends = await (await worker.fetch('/v1/users/dave/friends')).json();
+  assert.deepEqual(friends.friends.map(user => user.username), ['bob']);
+});
+
+// === BLOCKS ===
+test('blocking drops the friendship and stops follows both ways', async () => {
+  const blocked = await (await act(tokens.carol, 'bob', 'block')).json();
+  assert.equal(blocked.blocked, true);
+  assert.equal(blocked.friends, false);
+  assert.deepEqual(await rows('carol', 'bob'), ['carol->bob:blocked']);
+
+  assert.equal((await act(tokens.bob, 'carol', 'follow')).status, 403);
+  assert.equal((await act(tokens.carol, 'bob', 'follow')).status, 403);
+  assert.equal((await act(tokens.bob, 'carol', 'friend')).status, 403);
+  const seen = await (await act(tokens.bob, 'carol', 'block', 'DELETE')).json();
+  assert.equal(seen.blockedBy, true);
+
+  await act(tokens.carol, 'bob', 'block', 'DELETE');
+  assert.deepEqual(await rows('carol', 'bob'), []);
+  assert.equal((await act(tokens.carol, 'bob', 'follow')).status, 200);
+});
+
+test('a blocked author drops out of the conversation around a post', async () => {
+  await act(tokens.alice, 'bob', 'block');
+  const response = await worker.fetch('/v1/posts/p12', { token: tokens.alice });
+  assert.equal(response.status, 200);
+  const { post, ancestors } = await response.json();
+  assert.equal(post.replyTo, null);
+  assert.deepEqual(ancestors.map(ancestor => ancestor._id), ['p05']);
+  assert.doesNotMatch(JSON.stringify({ post, ancestors }), /bob/);
+
+  const replies = await (await worker.fetch('/v1/posts/p05/replies', { token: tokens.alice })).json();
+  assert.deepEqual(replies.replies.map(reply => reply._id), ['p11']);
+
+  // Others still see the whole conversation
+  const anonymous = await (await worker.fetch('/v1/posts/p12')).json();
+  assert.equal(anonymous.post.replyTo.username, 'bob');
+  await act(tokens.alice, 'bob', 'block', 'DELETE');
+});
@@ -0,0 +1,82 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRouter } from '../src/router.js';
+import { startWorker } from './helpers/worker.js';
+
+const allow = response => response.headers.get('Allow').split(', ').sort();
+
+// === MATCHING ===
+test('paths match with their parameters decoded', () => {
+  const router = createRouter([
+    { method: 'GET', path: '/posts/:id' },
+    { method: 'DELETE', path: '/posts/:id' },
+    { method: 'PUT', path: '/posts/:id/like' }
+  ]);
+  const found = router.match('GET', '/posts/a%20b/');
+  assert.equal(found.route.method, 'GET');
+  assert.deepEqual(found.params, { id: 'a b' });
+  assert.equal(router.match('HEAD', '/posts/p01').route.method, 'GET');
+  assert.equal(router.match('GET', '/posts'), null);
+  assert.equal(router.match('GET', '/posts/%E0%A4%A'), null);
+});
+
+test('a method miss lists every method the path allows', () => {
+  const router = createRouter([
+    { method: 'GET', path: '/posts/:id' },
+    { method: 'DELETE', path: '/posts/:id' },
+    { method: 'PUT', path: '/posts/:id/like' }
+  ]);
+  assert.deepEqual(router.match('POST', '/posts/p01'), { allowed: ['GET', 'DELETE', 'HEAD', 'OPTIONS'] });
+  assert.deepEqual(router.match('GET', '/posts/p01/like'), { allowed: ['PUT', 'OPTIONS'] });
+});
+
+// === WORKER ===
+let worker;
+before(async () => {
+  worker = await startWorker();
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+test('a wrong method is a 405 with an Allow header', async () => {
+  const listing = await worker.fetch('/v1/posts', { method: 'DELETE' });
+  assert.equal(listing.status, 405);
+  assert.deepEqual(allow(listing), ['GET', 'HEAD', 'OPTIONS', 'POST']);
+  assert.equal((await listing.json()).error.code, 'method_not_allowed');
+
+  const like = await worker.fetch('/v1/posts/p01/like', { method: 'POST' });
+  assert.equal(like.status, 405);
+  assert.deepEqual(allow(like), ['DELETE', 'OPTIONS', 'PUT']);
+});
+
+test('the method is checked before authentication', async () => {
+  const response = await worker.fetch('/v1/admin/reports', { method: 'DELETE' });
+  assert.equal(response.status, 405);
+  assert.deepEqual(allow(response), ['GET', 'HEAD', 'OPTIONS']);
+});
+
+test('unknown /v1 paths are 404s', async () => {
+  const response = await worker.fetch('/v1/nothing/here');
+  assert.equal(response.status, 404);
+  assert.equal((await response.json()).error.code, 'not_found');
+});
+
+test('unversioned paths keep working, with the query dispatch as the fallback', async () => {
+  assert.equal((await worker.fetch('/posts/p01')).status, 200);
+  const legacy = await worker.fetch('/?limit=2');
+  assert.equal(legacy.status, 200);
+  assert.equal((await legacy.json()).posts.length, 2);
+
+  const write = await worker.fetch('/somewhere', { method: 'POST', json: {} });
+  assert.equal(write.status, 405);
+  assert.deepEqual(allow(write), ['GET', 'HEAD', 'OPTIONS']);
+});
+
+test('HEAD is served by the GET route and OPTIONS answers preflights', async () => {
+  const head = await worker.fetch('/v1/posts/p01', { method: 'HEAD' });
+  assert.equal(head.status, 200);
+  const preflight = await worker.fetch('/v1/posts/p01/like', { method: 'OPTIONS' });
+  assert.equal(preflight.status, 200);
+  assert.match(preflight.headers.get('Access-Control-Allow-Methods'), /PUT/);
+});
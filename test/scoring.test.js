@@ -0,0 +1,101 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { insertBatches } from '../src/db/index.js';
+import { mysqlDialect } from '../src/db/mysql.js';
+import { DEFAULT_RANKING_WEIGHTS, loadRankingWeights, rankPosts, sampleByScore, scorePost, scoreSql } from '../src/scoring.js';
+import { startWorker } from './helpers/worker.js';
+
+const NOW = Date.parse('2024-06-01T12:00:00Z');
+const hoursAgo = hours => new Date(NOW - hours * 3600000).toISOString();
+const post = (id, hours, engagement = {}) => ({ _id: id, timestamp: hoursAgo(hours), likes: 0, hearts: 0, comments_count: 0, views_count: 0, ...engagement });
+
+// === SCORE ===
+test('the same engagement scores lower as the post ages', () => {
+  const scores = [1, 6, 24, 72].map(hours => scorePost(post('p', hours, { likes: 10 }), DEFAULT_RANKING_WEIGHTS, { now: NOW }));
+  scores.reduce((previous, score) => {
+    assert.ok(score < previous, `${score} < ${previous}`);
+    return score;
+  });
+});
+
+test('a fresh post outranks an older one with far more engagement', () => {
+  const ranked = rankPosts([
+    post('old', 48, { likes: 100, comments_count: 10 }),
+    post('fresh', 1, { likes: 10 }),
+    post('quiet', 2)
+  ], DEFAULT_RANKING_WEIGHTS, { now: NOW });
+  assert.deepEqual(ranked.map(p => p._id), ['fresh', 'old', 'quiet']);
+});
+
+test('every signal counts with its weight, and gravity 0 turns decay off', () => {
+  const weights = { ...DEFAULT_RANKING_WEIGHTS, gravity: 0 };
+  const score = scorePost(post('p', 100, { likes: 2, hearts: 2, comments_count: 1, views_count: 20 }), weights, { now: NOW });
+  assert.equal(score, 2 * 1 + 2 * 1.5 + 1 * 2 + 20 * 0.05);
+});
+
+test('category affinity boosts the score', () => {
+  const sports = post('p', 3, { likes: 5, categories: 'Sports' });
+  const plain = scorePost(sports, DEFAULT_RANKING_WEIGHTS, { now: NOW });
+  assert.equal(scorePost(sports, DEFAULT_RANKING_WEIGHTS, { now: NOW, affinity: { Sports: 0.5 } }), plain * 1.5);
+  assert.equal(scorePost(sports, DEFAULT_RANKING_WEIGHTS, { now: NOW, affinity: { News: 1 } }), plain);
+});
+
+test('sampling returns distinct posts and keeps posts without engagement in the running', () => {
+  const posts = Array.from({ length: 20 }, (_, i) => post(`p${i}`, i, i === 0 ? {} : { likes: 50 }));
+  const sample = sampleByScore(posts, 5, DEFAULT_RANKING_WEIGHTS, { now: NOW });
+  assert.equal(new Set(sample.map(p => p._id)).size, 5);
+
+  let picked = false;
+  for (let i = 0; i < 200 && !picked; i++) {
+    picked = sampleByScore(posts, 5, DEFAULT_RANKING_WEIGHTS, { now: NOW }).some(p => p._id === 'p0');
+  }
+  assert.ok(picked);
+});
+
+test('the SQL score uses the configured weights', () => {
+  const sql = scoreSql({ ...DEFAULT_RANKING_WEIGHTS, likes: 3, gravity: 1.5 }, mysqlDialect, 'p');
+  assert.match(sql, /COALESCE\(p\.likes, 0\) \* 3/);
+  assert.match(sql, /POWER\(GREATEST\(TIMESTAMPDIFF\(SECOND, p\.timestamp, NOW\(\)\), 0\) \/ 3600\.0 \+ 2, 1\.5\)/);
+});
+
+test('ranking weights override the defaults one by one; invalid ones are ignored', async () => {
+  assert.deepEqual(await loadRankingWeights({ RANKING_WEIGHTS: '{"likes": 3}' }), { ...DEFAULT_RANKING_WEIGHTS, likes: 3 });
+  assert.deepEqual(await loadRankingWeights({ RANKING_WEIGHTS: '{"likes": -1}' }), DEFAULT_RANKING_WEIGHTS);
+  assert.deepEqual(await loadRankingWeights({ RANKING_WEIGHTS: 'nope' }), DEFAULT_RANKING_WEIGHTS);
+});
+
+// === TRENDING LISTING ===
+let worker;
+before(async () => {
+  worker = await startWorker();
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+test('the trending listing is ordered by decayed score', async () => {
+  const response = await worker.fetch('/v1/posts?sort=trending&limit=20');
+  assert.equal(response.status, 200);
+  const { posts } = await response.json();
+  assert.ok(posts.length > 3);
+  const now = Date.now();
+  const scores = posts.map(p => scorePost({ ...p, timestamp: `${p.timestamp.replace(' ', 'T')}Z` }, DEFAULT_RANKING_WEIGHTS, { now }));
+  assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+});
+
+test('trending pages end where the ranked slice does on D1', async () => {
+  const ids = Array.from({ length: 1010 }, (_, i) => `t${String(i).padStart(4, '0')}`);
+  for (const batch of insertBatches(worker.db, ids, 2)) {
+    await worker.db.execute(
+      `INSERT INTO posts (_id, username, message, timestamp, likes) VALUES ${batch.map(() => "(?, 'dave', 'Filler', datetime('now', '-1 day'), ?)").join(', ')}`,
+      batch.flatMap((id, i) => [id, i % 7])
+    );
+  }
+
+  // 1022 posts match, but only the newest 1000 are ranked without POWER()
+  const last = await (await worker.fetch('/v1/posts?sort=trending&limit=50&page=20')).json();
+  assert.equal(last.posts.length, 50);
+  assert.equal(last.hasMorePosts, false);
+  const past = await (await worker.fetch('/v1/posts?sort=trending&limit=50&page=21')).json();
+  assert.deepEqual(past.posts, []);
+});
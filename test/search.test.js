@@ -0,0 +1,102 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchQuery } from '../src/search.js';
+import { startWorker } from './helpers/worker.js';
+
+// === QUERY SYNTAX ===
+test('queries split into words, prefixes and quoted phrases', () => {
+  assert.deepEqual(parseSearchQuery('Transit "new  Transit plan" bike* a'), {
+    phrases: ['new transit plan'],
+    terms: [{ text: 'transit', prefix: false }, { text: 'bike', prefix: true }]
+  });
+  // A one-word phrase is an ordinary word; punctuation alone leaves nothing to search
+  assert.deepEqual(parseSearchQuery('"lake"').terms, [{ text: 'lake', prefix: false }]);
+  assert.deepEqual(parseSearchQuery('!! ?'), { phrases: [], terms: [] });
+});
+
+// === SEARCH ROUTE ===
+let worker;
+before(async () => {
+  worker = await startWorker();
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+async function search(params) {
+  const response = await worker.fetch(`/v1/posts?${new URLSearchParams(params)}`);
+  assert.equal(response.status, 200);
+  return await response.json();
+}
+
+const ids = body => body.posts.map(post => post._id).sort();
+
+test('words match the message and the tags', async () => {
+  const body = await search({ q: 'lake' });
+  assert.equal(body.filterType, 'search');
+  assert.equal(body.query, 'lake');
+  assert.deepEqual(ids(body), ['p01']);
+  assert.deepEqual(ids(await search({ q: 'outdoors' })), ['p01']);
+});
+
+test('prefix terms match the start of a word', async () => {
+  assert.deepEqual(ids(await search({ q: 'transf*' })), ['p08']);
+  assert.deepEqual(ids(await search({ q: 'rumour* round*' })), ['p08']);
+});
+
+test('phrases must appear in that order', async () => {
+  assert.deepEqual(ids(await search({ q: '"transit plan"' })), ['p02']);
+  assert.deepEqual(ids(await search({ q: '"plan transit"' })), []);
+});
+
+test('tag and author narrow the results', async () => {
+  assert.deepEqual(ids(await search({ q: 'football' })), ['p03', 'p08']);
+  assert.deepEqual(ids(await search({ q: 'football', tag: 'transfers' })), ['p08']);
+  assert.deepEqual(ids(await search({ q: 'football', author: 'carol' })), []);
+});
+
+test('tag matches score above body text', async () => {
+  await worker.db.execute(
+    "INSERT INTO posts (_id, username, message, timestamp, tags) VALUES ('s01', 'dave', 'Football on the radio', datetime('now', '-2 days'), '[]')"
+  );
+  const { posts } = await search({ q: 'football' });
+  assert.equal(posts[posts.length - 1]._id, 's01');
+  await worker.db.execute("DELETE FROM posts WHERE _id = 's01'");
+});
+
+test('a query with nothing to search is rejected', async () => {
+  const response = await worker.fetch('/v1/posts?q=%21%21');
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error.details[0].field, 'q');
+});
+
+test('search cursors page through every result once', async () => {
+  const served = [];
+  let cursor = '';
+  do {
+    const body = await search({ q: 'the', limit: '2', cursor });
+    served.push(...body.posts.map(post => post._id));
+    cursor = body.nextCursor;
+  } while (cursor);
+
+  const all = await search({ q: 'the', limit: '50' });
+  assert.ok(served.length > 2);
+  assert.deepEqual([...served].sort(), ids(all));
+});
+
+test('cursors only replay with the filters they were made for', async () => {
+  const searched = await search({ q: 'football', limit: '1', cursor: '' });
+  assert.ok(searched.nextCursor);
+  const otherTag = await worker.fetch(`/v1/posts?${new URLSearchParams({ q: 'football', limit: '1', tag: 'cycling', cursor: searched.nextCursor })}`);
+  assert.equal(otherTag.status, 400);
+  assert.equal((await otherTag.json()).error.code, 'invalid_cursor');
+
+  const listed = await search({ sort: 'newest', author: 'bob', limit: '1', cursor: '' });
+  assert.ok(listed.nextCursor);
+  for (const params of [{ author: 'carol' }, {}, { author: 'bob', category: 'news' }]) {
+    const replayed = await worker.fetch(`/v1/posts?${new URLSearchParams({ sort: 'newest', limit: '1', ...params, cursor: listed.nextCursor })}`);
+    assert.equal(replayed.status, 400, JSON.stringify(params));
+  }
+  const next = await search({ sort: 'newest', author: 'bob', limit: '1', cursor: listed.nextCursor });
+  assert.ok(next.posts.every(post => post.username === 'bob'));
+});
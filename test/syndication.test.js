@@ -0,0 +1,181 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startWorker } from './helpers/worker.js';
+
+let worker;
+let tokens;
+before(async () => {
+  worker = await startWorker();
+  tokens = {
+    admin: await worker.token({ sub: 'alice', role: 'admin' }),
+    carol: await worker.token({ sub: 'carol' })
+  };
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const decode = text => text.replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => ENTITIES[name]);
+
+// Enough of an XML parser to prove the output well-formed: one root, balanced tags, quoted attributes
+// and no bare & or < in text. Returns the elements as { name, attributes, text, children }.
+function parseXml(xml) {
+  assert.match(xml, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n/);
+  const root = { children: [] };
+  const stack = [root];
+  for (const [token] of xml.replace(/^<\?xml[^>]*\?>/, '').matchAll(/<[^>]*>|[^<]+/g)) {
+    const parent = stack[stack.length - 1];
+    if (!token.startsWith('<')) {
+      assert.doesNotMatch(token, /&(?!(amp|lt|gt|quot|apos);)/, `unescaped & in ${token}`);
+      if (token.trim()) {
+        assert.notEqual(parent, root, `text outside the root: ${token}`);
+        parent.text += decode(token);
+      }
+      continue;
+    }
+    const closing = token.match(/^<\/([\w:]+)>$/);
+    if (closing) {
+      assert.equal(closing[1], parent.name, `</${closing[1]}> closes <${parent.name}>`);
+      stack.pop();
+      continue;
+    }
+    const opening = token.match(/^<([\w:]+)((?:\s+[\w:]+="[^"<]*")*)\s*(\/?)>$/);
+    assert.ok(opening, `malformed tag ${token}`);
+    const attributes = Object.fromEntries([...opening[2].matchAll(/([\w:]+)="([^"]*)"/g)].map(([, name, value]) => [name, decode(value)]));
+    const element = { name: opening[1], attributes, text: '', children: [] };
+    parent.children.push(element);
+    if (!opening[3]) stack.push(element);
+  }
+  assert.equal(stack.length, 1, `<${stack[stack.length - 1].name}> is never closed`);
+  assert.equal(root.children.length, 1);
+  return root.children[0];
+}
+
+const child = (element, name) => element.children.find(node => node.name === name);
+const children = (element, name) => element.children.filter(node => node.name === name);
+const postId = url => url.split('/').pop();
+
+async function feed(path, options) {
+  const response = await worker.fetch(path, options);
+  assert.equal(response.status, 200);
+  return { response, body: await response.text() };
+}
+
+// === FORMATS ===
+test('RSS lists a user\'s posts newest first as a valid RSS 2.0 channel', async () => {
+  const { response, body } = await feed('/v1/users/bob/feed.rss');
+  assert.equal(response.headers.get('Content-Type'), 'application/rss+xml; charset=utf-8');
+
+  const rss = parseXml(body);
+  assert.equal(rss.name, 'rss');
+  assert.equal(rss.attributes.version, '2.0');
+  const channel = child(rss, 'channel');
+  assert.equal(child(channel, 'title').text, 'Posts by bob');
+  assert.equal(child(channel, 'atom:link').attributes.href, 'http://worker.test/v1/users/bob/feed.rss');
+  assert.ok(child(channel, 'link').text.startsWith('http://worker.test/'));
+
+  const items = children(channel, 'item');
+  assert.deepEqual(items.map(item => postId(child(item, 'guid').text)), ['p01', 'p06', 'p10']);
+  for (const item of items) {
+    assert.equal(child(item, 'dc:creator').text, 'bob');
+    assert.equal(child(item, 'link').text, child(item, 'guid').text);
+    assert.equal(new Date(child(item, 'pubDate').text).toUTCString(), child(item, 'pubDate').text);
+  }
+  assert.deepEqual(children(items[0], 'category').map(category => category.text), ['cycling', 'outdoors']);
+  const enclosure = child(items[0], 'enclosure');
+  assert.match(enclosure.attributes.url, /^http:\/\/worker\.test\//);
+  assert.equal(enclosure.attributes.type, 'image/gif');
+  assert.equal(response.headers.get('Last-Modified'), child(items[0], 'pubDate').text);
+});
+
+test('Atom lists a category and its subcategories as a valid Atom feed', async () => {
+  const { response, body } = await feed('/v1/categories/sports/feed.atom');
+  assert.equal(response.headers.get('Content-Type'), 'application/atom+xml; charset=utf-8');
+
+  const atom = parseXml(body);
+  assert.equal(atom.name, 'feed');
+  assert.equal(atom.attributes.xmlns, 'http://www.w3.org/2005/Atom');
+  assert.equal(child(atom, 'id').text, 'http://worker.test/v1/categories/sports/feed.atom');
+  assert.equal(child(atom, 'title').text, 'Sports');
+  // Several authors, so no feed-level one
+  assert.equal(child(atom, 'author'), undefined);
+
+  const entries = children(atom, 'entry');
+  assert.deepEqual(entries.map(entry => postId(child(entry, 'id').text)), ['p01', 'p03', 'p08']);
+  assert.equal(child(atom, 'updated').text, child(entries[0], 'updated').text);
+  for (const entry of entries) {
+    assert.equal(new Date(child(entry, 'published').text).toISOString(), child(entry, 'published').text);
+    assert.ok(child(child(entry, 'author'), 'name').text);
+    assert.equal(child(entry, 'content').attributes.type, 'html');
+  }
+  assert.equal(child(entries[1], 'content').text, '<p>What a match last night!</p>');
+});
+
+test('JSON Feed lists a tag as a valid JSON Feed 1.1 document', async () => {
+  const { response, body } = await feed('/v1/tags/football/feed.json');
+  assert.equal(response.headers.get('Content-Type'), 'application/feed+json; charset=utf-8');
+
+  const json = JSON.parse(body);
+  assert.equal(json.version, 'https://jsonfeed.org/version/1.1');
+  assert.equal(json.title, '#football');
+  assert.equal(json.feed_url, 'http://worker.test/v1/tags/football/feed.json');
+  assert.deepEqual(json.items.map(item => postId(item.id)), ['p03', 'p08']);
+  for (const item of json.items) {
+    assert.equal(typeof item.id, 'string');
+    assert.ok(item.tags.includes('football'));
+    assert.deepEqual(item.authors, [{ name: 'erin' }]);
+    assert.equal(new Date(item.date_published).toISOString(), item.date_published);
+  }
+  assert.equal(json.items[1].content_text, 'Transfer window rumours roundup');
+});
+
+// === CONTENT ===
+test('markup and control characters in posts stay escaped text', async () => {
+  const message = 'Fish & chips <script>alert("hi")</script>\u0007\n\nSecond paragraph';
+  const created = await worker.fetch('/v1/posts', { method: 'POST', token: tokens.carol, json: { message } });
+  assert.equal(created.status, 201);
+
+  const rss = parseXml((await feed('/v1/users/carol/feed.rss')).body);
+  const item = children(child(rss, 'channel'), 'item')[0];
+  assert.equal(child(item, 'title').text, 'Fish & chips <script>alert("hi")</script>');
+  assert.equal(child(item, 'description').text,
+    '<p>Fish &amp; chips &lt;script&gt;alert(&quot;hi&quot;)&lt;/script&gt;</p><p>Second paragraph</p>');
+
+  const atom = parseXml((await feed('/v1/users/carol/feed.atom')).body);
+  assert.equal(child(atom, 'author').children[0].text, 'carol');
+  assert.equal(child(children(atom, 'entry')[0], 'title').text, 'Fish & chips <script>alert("hi")</script>');
+
+  const json = JSON.parse((await feed('/v1/users/carol/feed.json')).body);
+  assert.equal(json.items[0].content_text, message);
+});
+
+test('posts taken down by a moderator drop out of the feeds', async () => {
+  const moderated = await worker.fetch('/v1/admin/posts/p09/moderation', { method: 'POST', token: tokens.admin, json: { action: 'remove' } });
+  assert.equal(moderated.status, 200);
+  const json = JSON.parse((await feed('/v1/users/dave/feed.json')).body);
+  assert.deepEqual(json.items.map(item => postId(item.id)), ['p04']);
+});
+
+// === REQUESTS ===
+test('limit caps the items and unknown sources are 404s', async () => {
+  const rss = parseXml((await feed('/v1/users/bob/feed.rss?limit=1')).body);
+  assert.equal(children(child(rss, 'channel'), 'item').length, 1);
+
+  assert.equal((await worker.fetch('/v1/users/nobody/feed.rss')).status, 404);
+  assert.equal((await worker.fetch('/v1/categories/gardening/feed.atom')).status, 404);
+  assert.equal((await worker.fetch('/v1/users/bob/feed.rss?limit=500')).status, 400);
+});
+
+test('If-Modified-Since answers 304 unless the feed has changed since', async () => {
+  const { response } = await feed('/v1/users/erin/feed.atom');
+  const lastModified = response.headers.get('Last-Modified');
+  assert.ok(lastModified);
+
+  const unchanged = await worker.fetch('/v1/users/erin/feed.atom', { headers: { 'If-Modified-Since': lastModified } });
+  assert.equal(unchanged.status, 304);
+  assert.equal(await unchanged.text(), '');
+
+  const stale = new Date(Date.parse(lastModified) - 60_000).toUTCString();
+  assert.equal((await worker.fetch('/v1/users/erin/feed.atom', { headers: { 'If-Modified-Since': stale } })).status, 200);
+});
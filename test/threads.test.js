@@ -0,0 +1,113 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startWorker } from './helpers/worker.js';
+
+let worker;
+let tokens;
+before(async () => {
+  worker = await startWorker({ vars: { MODERATION_FILTER: JSON.stringify({ review: ['casino'] }) } });
+  tokens = {
+    admin: await worker.token({ sub: 'alice', role: 'admin' }),
+    bob: await worker.token({ sub: 'bob' }),
+    carol: await worker.token({ sub: 'carol' })
+  };
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+async function reply(token, replyTo, message) {
+  const response = await worker.fetch('/v1/posts', { method: 'POST', token, json: { message, replyTo } });
+  assert.equal(response.status, 201);
+  return await response.json();
+}
+
+async function commentsCount(postId) {
+  const { rows } = await worker.db.execute('SELECT comments_count FROM posts WHERE _id = ?', [postId]);
+  return Number(rows[0].comments_count);
+}
+
+async function moderate(postId, action) {
+  const response = await worker.fetch(`/v1/admin/posts/${postId}/moderation`, { method: 'POST', token: tokens.admin, json: { action } });
+  assert.equal(response.status, 200);
+}
+
+// === CONVERSATIONS ===
+test('a post comes with its ancestors, root first', async () => {
+  const response = await worker.fetch('/v1/posts/p12');
+  assert.equal(response.status, 200);
+  const { post, ancestors } = await response.json();
+  assert.equal(post._id, 'p12');
+  assert.equal(post.replyTo.postId, 'p06');
+  assert.equal(post.replyTo.username, 'bob');
+  assert.deepEqual(ancestors.map(ancestor => ancestor._id), ['p05', 'p06']);
+});
+
+test('replies nest under their parent down to the requested depth', async () => {
+  const response = await worker.fetch('/v1/posts/p05/replies');
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.depth, 3);
+  assert.deepEqual(body.replies.map(row => row._id), ['p06', 'p11']);
+  assert.deepEqual(body.replies[0].replies.map(row => row._id), ['p12']);
+
+  const shallow = await (await worker.fetch('/v1/posts/p05/replies?depth=1')).json();
+  assert.deepEqual(shallow.replies[0].replies, []);
+  assert.equal(shallow.replies[0].hasMoreReplies, true);
+});
+
+test('top-level replies page oldest first with a cursor', async () => {
+  const first = await (await worker.fetch('/v1/posts/p05/replies?limit=1')).json();
+  assert.deepEqual(first.replies.map(row => row._id), ['p06']);
+  assert.equal(first.hasMoreReplies, true);
+
+  const second = await (await worker.fetch(`/v1/posts/p05/replies?limit=1&cursor=${first.nextCursor}`)).json();
+  assert.deepEqual(second.replies.map(row => row._id), ['p11']);
+
+  const elsewhere = await worker.fetch(`/v1/posts/p01/replies?cursor=${first.nextCursor}`);
+  assert.equal(elsewhere.status, 400);
+});
+
+test('replies to a missing post are rejected', async () => {
+  const response = await worker.fetch('/v1/posts', { method: 'POST', token: tokens.bob, json: { message: 'Hello?', replyTo: 'nope' } });
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error.details[0].field, 'replyTo');
+});
+
+// === COUNTS ===
+test('replying and deleting the reply move the parent count', async () => {
+  const before = await commentsCount('p04');
+  const { _id } = await reply(tokens.carol, 'p04', 'Congratulations!');
+  assert.equal(await commentsCount('p04'), before + 1);
+
+  assert.equal((await worker.fetch(`/v1/posts/${_id}`, { method: 'DELETE', token: tokens.carol })).status, 204);
+  assert.equal(await commentsCount('p04'), before);
+});
+
+test('held replies count only once a moderator lets them through', async () => {
+  const before = await commentsCount('p09');
+  const held = await reply(tokens.carol, 'p09', 'Stay cool at the casino');
+  assert.equal(held.status, 'hidden');
+  assert.equal(await commentsCount('p09'), before);
+
+  await moderate(held._id, 'restore');
+  assert.equal(await commentsCount('p09'), before + 1);
+  // Restoring twice counts once
+  await moderate(held._id, 'restore');
+  assert.equal(await commentsCount('p09'), before + 1);
+
+  await moderate(held._id, 'remove');
+  assert.equal(await commentsCount('p09'), before);
+  // Deleting a reply that no longer counts leaves the parent alone
+  assert.equal((await worker.fetch(`/v1/posts/${held._id}`, { method: 'DELETE', token: tokens.admin })).status, 204);
+  assert.equal(await commentsCount('p09'), before);
+});
+
+test('a reply the filter holds after an edit stops counting', async () => {
+  const before = await commentsCount('p03');
+  const { _id } = await reply(tokens.bob, 'p03', 'Great game');
+  const edited = await worker.fetch(`/v1/posts/${_id}`, { method: 'PATCH', token: tokens.bob, json: { message: 'Great game, bet at the casino' } });
+  assert.equal(edited.status, 200);
+  assert.equal((await edited.json()).status, 'hidden');
+  assert.equal(await commentsCount('p03'), before);
+});
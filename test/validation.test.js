@@ -0,0 +1,106 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateBody, validateQuery } from '../src/validation.js';
+import { RECORD_VIEWS_BODY } from '../src/views.js';
+import { startWorker } from './helpers/worker.js';
+
+// === SCHEMAS ===
+test('query values are coerced and defaulted', () => {
+  const { value, errors } = validateQuery({
+    page: { type: 'integer', min: 1, default: 1 },
+    limit: { type: 'integer', min: 1, max: 50, default: 10 },
+    debug: { type: 'boolean' },
+    since: { type: 'timestamp' }
+  }, { limit: '25', debug: 'true', since: '2024-05-01T12:30:00+02:00', utm_source: 'mail' });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { page: 1, limit: 25, debug: true, since: '2024-05-01 10:30:00' });
+});
+
+test('out-of-range and malformed query values are reported per field', () => {
+  const { errors } = validateQuery({
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', max: 50 }
+  }, { page: '0', limit: 'abc' });
+
+  assert.deepEqual(errors, [
+    { field: 'page', message: 'page must be at least 1' },
+    { field: 'limit', message: 'limit must be an integer' }
+  ]);
+});
+
+test('view events are checked field by field', () => {
+  const { errors } = validateBody(RECORD_VIEWS_BODY, {
+    events: [
+      { postId: 'p01', dwellMs: 1200, viewedAt: '2024-05-01 10:00:00', source: 'feed' },
+      { postId: 42 },
+      { dwellMs: 10 },
+      { postId: 'p02', dwellMs: -5 },
+      { postId: 'p03', viewedAt: 'yesterday' },
+      { postId: 'p04', seen: true }
+    ]
+  });
+
+  assert.deepEqual(errors.map(error => error.field), [
+    'events[2].postId',
+    'events[3].dwellMs',
+    'events[4].viewedAt',
+    'events[5].seen'
+  ]);
+});
+
+test('valid view events come back normalized', () => {
+  const { value, errors } = validateBody(RECORD_VIEWS_BODY, { events: [{ postId: 42, viewedAt: '2024-05-01T10:00:00Z' }] });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value.events, [{ postId: '42', dwellMs: 0, viewedAt: '2024-05-01 10:00:00' }]);
+});
+
+// === ERROR ENVELOPE ===
+let worker;
+before(async () => {
+  worker = await startWorker();
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+test('invalid query parameters get the validation envelope', async () => {
+  const response = await worker.fetch('/v1/posts?limit=abc&page=0');
+  assert.equal(response.status, 400);
+  const { error } = await response.json();
+  assert.equal(error.code, 'validation_failed');
+  assert.deepEqual(error.details.map(detail => detail.field).sort(), ['limit', 'page']);
+});
+
+test('bad view events get the validation envelope', async () => {
+  const response = await worker.fetch('/v1/views', {
+    method: 'POST',
+    token: await worker.token({ sub: 'alice' }),
+    json: { events: [{ postId: 'p01', dwellMs: 'long' }] }
+  });
+  assert.equal(response.status, 400);
+  assert.deepEqual(await response.json(), {
+    error: {
+      code: 'validation_failed',
+      message: 'Invalid request body',
+      details: [{ field: 'events[0].dwellMs', message: 'events[0].dwellMs must be a number' }]
+    }
+  });
+});
+
+test('a body that is not JSON is rejected', async () => {
+  const response = await worker.fetch('/v1/views', {
+    method: 'POST',
+    token: await worker.token({ sub: 'alice' }),
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"events":'
+  });
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error.code, 'invalid_json');
+});
+
+test('unknown routes get the not_found envelope', async () => {
+  const response = await worker.fetch('/v1/nothing-here');
+  assert.equal(response.status, 404);
+  assert.equal((await response.json()).error.code, 'not_found');
+});
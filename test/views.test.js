@@ -0,0 +1,52 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toSqlDateTime } from '../src/http.js';
+import { startWorker } from './helpers/worker.js';
+
+let worker;
+let token;
+before(async () => {
+  worker = await startWorker();
+  token = await worker.token({ sub: 'carol' });
+});
+after(async () => {
+  await worker?.dispose();
+});
+
+async function recordViews(events) {
+  const response = await worker.fetch('/v1/views', { method: 'POST', token, json: { events } });
+  assert.equal(response.status, 202);
+  return await response.json();
+}
+
+async function viewsCount(postId) {
+  const { rows } = await worker.db.execute('SELECT views_count FROM posts WHERE _id = ?', [postId]);
+  return Number(rows[0].views_count);
+}
+
+test('a replayed view with an old viewedAt is counted once', async () => {
+  const before = await viewsCount('p03');
+  const viewedAt = toSqlDateTime(new Date(Date.now() - 2 * 60 * 60 * 1000));
+
+  await recordViews([{ postId: 'p03', dwellMs: 900, viewedAt }]);
+  await recordViews([{ postId: 'p03', dwellMs: 900, viewedAt }]);
+  await recordViews([{ postId: 'p03', viewedAt: '2020-01-01 00:00:00' }]);
+
+  assert.equal(await viewsCount('p03'), before + 1);
+  const { rows } = await worker.db.execute('SELECT viewed_at FROM post_views WHERE user_id = ? AND post_id = ?', ['carol', 'p03']);
+  // The client's time is kept as reported
+  assert.deepEqual(rows.map(row => row.viewed_at), [viewedAt]);
+});
+
+test('events for the same post in one batch become one view', async () => {
+  const before = await viewsCount('p09');
+  const { accepted } = await recordViews([
+    { postId: 'p09', dwellMs: 300 },
+    { postId: 'p09', dwellMs: 1200 }
+  ]);
+
+  assert.equal(accepted, 1);
+  assert.equal(await viewsCount('p09'), before + 1);
+  const { rows } = await worker.db.execute('SELECT dwell_ms FROM post_views WHERE user_id = ? AND post_id = ?', ['carol', 'p09']);
+  assert.deepEqual(rows.map(row => Number(row.dwell_ms)), [1200]);
+});